@@ -1,2 +1,3 @@
 import worker from "./versions/index.v4.3.0.js";
 export default worker;
+export { MusicBrainzThrottle } from "./versions/index.v4.3.0.js";
@@ -1,9 +1,13 @@
 // tools/set-version.mjs
 // Purpose: point root index.js at a specific version file
-import { writeFileSync, existsSync } from "node:fs";
+// (re-exporting its Durable Object classes, which wrangler binds from the main module)
+import { writeFileSync, existsSync, readFileSync } from "node:fs";
 const ver = process.argv[2];
 if (!ver) { console.error("usage: node tools/set-version.mjs 4.2.2"); process.exit(1); }
 const path = `versions/index.v${ver}.js`;
 if (!existsSync(path)) { console.error(`missing ${path}`); process.exit(1); }
-writeFileSync("index.js", `import worker from "./${path}";\nexport default worker;\n`);
-console.log(`index.js -> ${path}`);
+const classes = [...readFileSync(path, "utf8").matchAll(/^export class (\w+)/gm)].map(m => m[1]);
+let src = `import worker from "./${path}";\nexport default worker;\n`;
+if (classes.length) src += `export { ${classes.join(", ")} } from "./${path}";\n`;
+writeFileSync("index.js", src);
+console.log(`index.js -> ${path}${classes.length ? ` (+ ${classes.join(", ")})` : ""}`);
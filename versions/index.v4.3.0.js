@@ -8,8 +8,16 @@
  *   - mbid (release|release-group|artist) / mb_release_mbid / mb_release_group / mb_artist_id
  *   - discogs (release id) / discogs_release_id / discogs_master_id
  *   - qid (Wikidata Q-id)
+ *   - label + catno (catalog number printed on the spine; catno alone works too)
+ *   - runout / matrix (text etched in the run-out groove, for sleeves without a barcode)
  *   - artist + title (fallback)
+ *   - discogs_artist_id (artist mode)
  *   - cmd="enrich -all upc:888751119215" (mini-grammar)
+ *       enrich -all -images=artist -lang=de artist:"Miles Davis" title:"Kind of Blue"
+ *       keys: any seed param above (key:value, quote values with spaces; a backslash escapes
+ *             the next character, inside quotes or not: title:Say\"Hi\")
+ *       flags: -all, -nocache, -market, -images=..., -lang=..., -max_images=...,
+ *              -prefer_format=12 (sizes without the inch mark; a bare " opens a quote)
  *
  * Flags:
  *   - all=1                : try all crosswalks and deep enrichment
@@ -17,100 +25,237 @@
  *   - max_images=12        : default 12
  *   - lang=en              : default en
  *   - nocache=1            : disable CF cache for debugging
+ *   - market=1             : Discogs marketplace prices and community stats (cached 5 min,
+ *                            price suggestions need DISCOGS_TOKEN)
+ *   - prefer_format=vinyl  : ranking hint when several releases match (vinyl|12|10|7|cd|cassette|digital);
+ *                            default favours vinyl (12" > 10" > 7") over CD/digital
+ *   - country=US, year=1959: ranking hints (country match, date proximity)
+ *   - prefer=(musicbrainz|discogs|wikidata|wikipedia) : merge policy; the preferred source wins every
+ *                            canonical field it offered a value for, and provenance names it even where
+ *                            another source offered that value first (default: first source in pipeline order)
+ *
+ * Bindings (optional):
+ *   - DISCOGS_TOKEN (secret) : authenticated Discogs calls (rate limit, full release data, prices)
+ *   - MB_THROTTLE (Durable Object, class MusicBrainzThrottle) : shares the 1 req/s MusicBrainz pace
+ *                              across isolates; without it each isolate paces itself
+ *
+ * Routes:
+ *   GET  /                 : single enrichment from query params / cmd
+ *   GET  /search           : ranked candidates from MusicBrainz and Discogs for upc, label/catno
+ *                            and/or artist+title (limit=10 per source, max 25); each candidate
+ *                            carries a `seed` to pass back for enrichment
+ *   GET  /artist           : artist profile (also type=artist or cmd verb "artist") from
+ *                            artist name, mb_artist_id / mbid, discogs_artist_id or qid
+ *   POST /batch            : JSON array or NDJSON of seeds (objects with the query keys above,
+ *                            or cmd strings); ?stream=1 or Accept: application/x-ndjson streams
+ *                            one result line per item as it completes. Up to 41 items; more than
+ *                            10 stream unless stream=0 (then 413). Items past the subrequest
+ *                            budget fail with "too many subrequests"
  *
  * Output schema (top-level keys):
  *   schema_version, timestamp, flags
- *   canonical: { title, artist, label, catalog_number, year, country, format[], genre[], cover_url, upc }
+ *   canonical: { title, artist, label, catalog_number, year (this pressing), original_year (Discogs master,
+ *                MB release group, Wikidata album), country, track_count,
+ *                format: { medium, discs, size, speed, descriptors[] }, genre[], cover_url, upc }
+ *   provenance: per canonical field { value, source, record_id, confidence, agreed_by[], alternatives[] };
+ *               genre: one entry per value; format: filled{} names sources that completed size/speed/descriptors
+ *   conflicts: [{ field, winner, policy, values: [{ value, sources: [{ source, record_id }] }] }]
  *   ids: { discogs_release_id, discogs_master_id, mb_release_mbid, mb_release_group, mb_artist_id,
  *          wikidata_qid, artist_wikidata_qid, wikipedia_title }
- *   wikipedia: { title, summary, infobox, tracklist[], personnel[], producers[], engineers[],
+ *   wikipedia: { title, summary, infobox, tracklist[], personnel[],
  *                awards[], certifications[], landmarks[], notes[], sections{} }
- *   wikidata:  { entity: {}, sitelinks: {}, claims{} (selected), images_from_p18[] }
+ *   personnel: [{ name, credited_as, mb_artist_id, role, instrument, attributes[], tracks[] | null }]
+ *              // MB release + recording relationships; role: producer, engineer, mixing, mastering,
+ *              // instrument, vocals, ...; tracks null when credited for the whole release
+ *   Every Wikidata id in the output carries its label and description (lang, English fallback):
+ *     { id: "Q…", label, description }, { wikidata_qid: "Q…", wikidata_label, wikidata_description },
+ *     unit/country -> unit_label/unit_description, country_label/country_description
+ *   wikidata:  { entity: { id, label, description, aliases[], modified }, sitelinks: { site: { title, url } },
+ *                claims: { P136: { property: "genre", values: [{ id, label }] }, ... }, images_from_p18[] }
+ *              claims: P136 genre, P264 label, P162 producer, P577 publication date ({ time, country, country_label }),
+ *                P483 recorded at, P2047 duration ({ amount, unit, unit_label, seconds }), P7937 form,
+ *                P155/P156 follows/followed by, P166 awards ({ id, label, date })
+ *   release_group: { mb_release_group_id, title, first_release_date, primary_type, secondary_types[],
+ *                disambiguation }  // Album/EP/Single; Live, Compilation, Soundtrack, ...
+ *   artist:    { mb_artist_id, name, sort_name, type, disambiguation, country, area, begin_area,
+ *                life_span, aliases[], genres[], members[], related[] }  // when an artist MBID is resolved
+ *              members: [{ name, mb_artist_id, wikidata_qid, begin, end, ended, instruments[], attributes[], sources[] }]
+ *              related: [{ name, mb_artist_id, wikidata_qid, relation, begin, end, sources[] }]
+ *                relation: collaboration | collaborator | is person | performs as | member of | subgroup | subgroup of
+ *   discogs:   { release: { tracklist[], extraartists[], formats[], identifiers[], labels[], companies[],
+ *                notes, community: { have, want, rating }, images[] }, master: { id, title, year, main_release, versions_count }, versions[],
+ *                skipped: [{ call, reason, remaining }] }  // optional calls dropped to save rate-limit budget
+ *   market:    { discogs_release_id, price_suggestions{ grade: { value, currency } }, lowest_price,
+ *                num_for_sale, blocked_from_sale, community: { have, want, rating{ average, count } },
+ *                fetched_at, cached }  // market=1 only
+ *   tracklist: { source, mb_release_mbid, media: [{ position, format, title, track_count,
+ *                tracks: [{ position, side, title, artist, length, length_ms, recording_mbid, isrcs[] }] }] }
+ *   pressing:  { discogs_release_id, sides: [{ side, matrix: [{ value, description, matches_seed? }] }],
+ *                barcodes[], rights_society[], label_code[], pressing_plant_id[], other[],
+ *                mb_release_mbid, mb_annotation }
  *   wiki:      { article_gallery[], album_gallery[], artist_gallery[] }
+ *              album_gallery: Cover Art Archive front/back/medium/booklet/obi scans
+ *                { source, role, types[], title, url, caa_id, mb_entity, front, back, approved, thumbnails{250,500,1200} }
  *   downloads: { image_urls[] }  // aggregated for aria2 batching later
- *   diagnostics: { matched_on, notes[], tried_barcodes[], mb_http[], discogs_http[], wiki_http[], wd_http[] }
+ *   diagnostics: { matched_on, notes[], tried_barcodes[], ranking[], mb_http[], discogs_http[], wiki_http[], wd_http[],
+ *                  caa_http[], throttle_http[] }
+ *                every outbound fetch, MB_THROTTLE calls included, is logged in one *_http list
+ *                mb_http entries carry throttled_ms when the request waited for its MusicBrainz slot
+ *                discogs_http entries carry ratelimit: { limit, used, remaining } from the response headers
+ *
+ * Artist mode output: schema_version, timestamp, type: "artist", flags,
+ *   artist: { name, sort_name, type, disambiguation, aliases[], life_span, active_years, origin,
+ *             area, country, members[], related[], genres[] }  // members/related as in album mode
+ *   ids: { mb_artist_id, artist_wikidata_qid, discogs_artist_id, wikipedia_title, external[] },
+ *   wikipedia: { title, summary }, wiki.artist_gallery[], downloads, diagnostics
  */
 
 export default {
   async fetch(req, env, ctx) {
     const url = new URL(req.url);
+    BINDINGS = env || {};
+
+    if (url.pathname.replace(/\/+$/, "") === "/batch") {
+      if (req.method !== "POST") return jsonError(405, "use POST for /batch");
+      return handleBatch(req, url, ctx);
+    }
+
+    // Command grammar (optional); its keys and flags override the query string
+    let params;
+    try {
+      params = applyCmd(url.searchParams, parseCmd(url.searchParams.get("cmd")));
+    } catch (e) {
+      if (e instanceof CmdSyntaxError) return jsonError(400, e.message, e.detail());
+      throw e;
+    }
 
     // CF caching policy
-    const noCache = toBool(url.searchParams.get("nocache"));
-    const cacheTTL = noCache ? 0 : 900; // 15 min
+    const noCache = toBool(params.get("nocache"));
+    const cacheTTL = noCache ? 0 : 900; // 15 min; market data caps it at MARKET_TTL
 
     // Flags
-    const flags = {
-      all: toBool(url.searchParams.get("all")),
-      images: (url.searchParams.get("images") || "both").toLowerCase(), // artist|album|both|none
-      lang: (url.searchParams.get("lang") || "en").toLowerCase(),
-      max_images: clampInt(url.searchParams.get("max_images"), 1, 50, 12),
-    };
+    const flags = parseFlags(params);
+    const seed = parseSeed(params);
 
-    // Command grammar (optional)
-    const cmd = url.searchParams.get("cmd");
-    const seed = parseSeed(url, cmd);
+    if (url.pathname.replace(/\/+$/, "") === "/search") {
+      if (!seed.upc && !seed.catno && !seed.title && !seed.artist) {
+        return jsonError(400, "search needs upc, catno (with optional label) or artist/title");
+      }
+      return json(await runCandidateSearch(seed, flags, clampInt(params.get("limit"), 1, 25, 10)), cacheTTL);
+    }
 
-    const out = initOut(flags);
-    stamp(out, "start");
+    const artistMode = url.pathname.replace(/\/+$/, "") === "/artist" || params.get("type") === "artist";
+    const out = artistMode ? await runArtistEnrichment(seed, flags) : await runEnrichment(seed, flags);
 
-    try {
-      // 1) Normalize primary keys
-      normalizeSeed(seed, out);
+    // Response
+    return json(out, flags.market ? Math.min(cacheTTL, MARKET_TTL) : cacheTTL);
+  },
+};
 
-      // 2) Resolve Discogs by UPC if available (cheap and often best cover art)
-      if (seed.upc || seed.barcode) {
-        await resolveDiscogsByUPC(seed, out);
-      }
+async function runEnrichment(seed, flags) {
+  const out = initOut(flags);
+  stamp(out, "start");
 
-      // 3) Resolve MusicBrainz by barcode; then hydrate release, group, artist
-      await resolveMusicBrainz(seed, out);
+  try {
+    // 1) Normalize primary keys
+    normalizeSeed(seed, out);
 
-      // 4) Find Wikidata Q-ids from MB url-rels or fallback SPARQL,
-      //    and enwiki sitelink for the album and the artist
-      await resolveWikidataAndWikipedia(seed, out);
+    // 2a) Wikidata Q-id seed: entity first, its MB/Discogs/enwiki links seed the later stages
+    if (seed.qid) {
+      await resolveWikidataSeed(seed, out);
+    }
 
-      // 5) Wikipedia enrichment
-      await enrichFromWikipedia(seed, out);
+    // 2) Resolve Discogs: release ID seed first (fills canonical + barcode for the crosswalk),
+    //    then master (main release + versions), else by UPC if available (cheap and often best cover art)
+    if (seed.discogs) {
+      await resolveDiscogsRelease(seed, out);
+    }
+    if (seed.discogs_master_id) {
+      await resolveDiscogsMaster(seed, out);
+    }
+    if ((seed.upc || seed.barcode) && !out.ids.discogs_release_id) {
+      await resolveDiscogsByUPC(seed, out);
+    }
+    if (seed.catno && !out.ids.discogs_release_id) {
+      await resolveDiscogsByCatno(seed, out);
+    }
+    if (seed.runout && !out.ids.discogs_release_id) {
+      await resolveDiscogsByRunout(seed, out);
+    }
 
-      // 6) Images:
-      //    - Article media-list (album page)
-      //    - Artist P18 from Wikidata + fileinfo
-      //    - Optional infobox lead image if exposed
-      if (flags.images !== "none") {
-        await buildImageGalleries(seed, out);
-      }
+    // 3) Resolve MusicBrainz by barcode; then hydrate release, group, artist
+    await resolveMusicBrainz(seed, out);
 
-      // 7) Canonical fields finalization (title/artist/genre/format/year/label/etc.)
-      finalizeCanonical(out);
+    // 4) Find Wikidata Q-ids from MB url-rels or fallback SPARQL,
+    //    and enwiki sitelink for the album and the artist
+    await resolveWikidataAndWikipedia(seed, out);
 
-      // 8) Aggregate image URLs for aria2 batch
-      aggregateDownloadList(out);
+    // 4b) Wikidata album entity as a canonical source (label, publication date),
+    //     and its curated claims and sitelinks
+    await offerWikidataCanonical(out);
+    await buildWikidataBlock(out);
 
-      stamp(out, "done");
-    } catch (e) {
-      out.diagnostics.notes.push(`fatal:${String(e && e.message ? e.message : e)}`);
+    // 4c) Band members and related artists from the artist's Wikidata item
+    if (out.ids.artist_wikidata_qid?.id) {
+      await mergeWikidataArtistGraph(out);
     }
 
-    // Response
-    return json(out, cacheTTL);
-  },
-};
+    // 5) Wikipedia enrichment
+    await enrichFromWikipedia(seed, out);
+
+    // 6) Images:
+    //    - Article media-list (album page)
+    //    - Artist P18 from Wikidata + fileinfo
+    //    - Optional infobox lead image if exposed
+    if (flags.images !== "none") {
+      await buildImageGalleries(seed, out);
+    }
+
+    // 6b) Marketplace prices and community stats (opt-in, separately cached)
+    if (flags.market) {
+      await enrichDiscogsMarket(out, flags.nocache);
+    }
+
+    // 7) Merge policy and conflict report over the canonical fields
+    applyMergePolicy(out);
+
+    // 7b) Labels and descriptions for every Wikidata id in the output, batched
+    await labelWikidataIds(out);
+
+    // 8) Aggregate image URLs for aria2 batch
+    aggregateDownloadList(out);
+
+    stamp(out, "done");
+  } catch (e) {
+    out.diagnostics.notes.push(`fatal:${String(e && e.message ? e.message : e)}`);
+  }
+
+  return out;
+}
 
 /* ------------------------------ Utilities ------------------------------ */
 
+const SCHEMA_VERSION = "4.3.0";
+
 function initOut(flags) {
   return {
-    schema_version: "4.3.0",
+    schema_version: SCHEMA_VERSION,
     timestamp: new Date().toISOString(),
     flags,
     canonical: {
-      format: [],
+      format: null,
       genre: [],
     },
+    provenance: {},
+    conflicts: [],
     ids: {},
     wikipedia: {},
     wikidata: {},
+    discogs: {},
+    pressing: {},
+    tracklist: null,
+    release_group: null,
+    artist: {},
     wiki: { article_gallery: [], album_gallery: [], artist_gallery: [] },
     downloads: { image_urls: [] },
     personnel: [],
@@ -118,10 +263,13 @@ function initOut(flags) {
       matched_on: null,
       notes: [],
       tried_barcodes: [],
+      ranking: [],
       mb_http: [],
       discogs_http: [],
       wiki_http: [],
       wd_http: [],
+      caa_http: [],
+      throttle_http: [],
     },
   };
 }
@@ -141,7 +289,30 @@ function clampInt(v, min, max, dflt) {
   return dflt;
 }
 
-function json(obj, cacheTTL) {
+// For conditions that hold for every call of a kind (missing secret, unreachable binding)
+function pushNoteOnce(out, note) {
+  if (!out.diagnostics.notes.includes(note)) out.diagnostics.notes.push(note);
+}
+
+function parseFlags(params) {
+  return {
+    all: toBool(params.get("all")),
+    nocache: toBool(params.get("nocache")),
+    market: toBool(params.get("market")),
+    images: (params.get("images") || "both").toLowerCase(), // artist|album|both|none
+    // validated like -lang: the value is interpolated into SPARQL and API queries
+    lang: CMD_FLAGS.lang(params.get("lang") || "") ? params.get("lang").toLowerCase() : "en",
+    max_images: clampInt(params.get("max_images"), 1, 50, 12),
+    // ranking hints for picking between several matching releases
+    prefer_format: (params.get("prefer_format") || "").toLowerCase() || null,
+    country: (params.get("country") || "").toUpperCase() || null,
+    year: params.get("year") && /^\d{4}$/.test(params.get("year")) ? params.get("year") : null,
+    // merge policy: which source wins canonical fields when sources disagree
+    prefer: MERGE_SOURCES.includes((params.get("prefer") || "").toLowerCase()) ? params.get("prefer").toLowerCase() : null,
+  };
+}
+
+function json(obj, cacheTTL, status = 200) {
   const headers = {
     "content-type": "application/json; charset=utf-8",
   };
@@ -150,7 +321,11 @@ function json(obj, cacheTTL) {
   } else {
     headers["cache-control"] = "no-store";
   }
-  return new Response(JSON.stringify(obj, null, 2), { status: 200, headers });
+  return new Response(JSON.stringify(obj, null, 2), { status, headers });
+}
+
+function jsonError(status, message, extra = {}) {
+  return json({ error: message, ...extra }, 0, status);
 }
 
 function normalizeBarcode(b) {
@@ -176,66 +351,541 @@ function titleCase(s) {
   return (s || "").replace(/\b\w/g, c => c.toUpperCase());
 }
 
-/* ------------------------ Input seed parsing --------------------------- */
+/* ------------------------ Canonical provenance --------------------------- */
+
+// Confidence by how a source record was reached
+const CONFIDENCE = {
+  id: 0.95, // looked up by an identifier we were given or that a source linked
+  master: 0.9, // Discogs master / main release, MB release-group pick
+  barcode: 0.85,
+  catno: 0.75,
+  runout: 0.85, // matrix text verified against the release's identifiers
+  search: 0.6, // artist+title text search
+  article: 0.5, // Wikipedia lead image and the like
+  fallback: 0.1,
+};
 
-function parseSeed(url, cmd) {
-  const seed = {
-    upc: url.searchParams.get("upc") || url.searchParams.get("ean") || url.searchParams.get("barcode"),
-    mbid: url.searchParams.get("mbid"),
-    mb_release_mbid: url.searchParams.get("mb_release_mbid"),
-    mb_release_group: url.searchParams.get("mb_release_group"),
-    mb_artist_id: url.searchParams.get("mb_artist_id"),
-    discogs: url.searchParams.get("discogs") || url.searchParams.get("discogs_release_id"),
-    discogs_master_id: url.searchParams.get("discogs_master_id"),
-    qid: url.searchParams.get("qid"),
-    title: url.searchParams.get("title"),
-    artist: url.searchParams.get("artist"),
-  };
+function origin(source, recordId, how) {
+  return { source, record_id: recordId ? String(recordId) : null, confidence: CONFIDENCE[how] ?? CONFIDENCE.fallback };
+}
+
+const MERGE_SOURCES = ["musicbrainz", "discogs", "wikidata", "wikipedia"];
+
+// Fields compared across sources for the conflict report
+const CONFLICT_FIELDS = [
+  "title",
+  "artist",
+  "year",
+  "original_year",
+  "label",
+  "catalog_number",
+  "country",
+  "track_count",
+  "format",
+];
+
+// Discogs names countries, MB uses ISO 3166 (plus XE/XW); map the common pressing countries
+const COUNTRY_CODES = {
+  "uk": "GB", "us": "US", "usa": "US", "germany": "DE", "japan": "JP", "france": "FR", "netherlands": "NL",
+  "italy": "IT", "canada": "CA", "australia": "AU", "spain": "ES", "sweden": "SE", "brazil": "BR",
+  "europe": "XE", "worldwide": "XW", "uk europe": "XE", "uk europe us": "XW",
+};
+
+function compareKey(field, v) {
+  if (field === "catalog_number") return normCatno(v);
+  if (field === "country") {
+    const t = normText(v);
+    return COUNTRY_CODES[t] || t.toUpperCase();
+  }
+  if (field === "label") return normText(v).replace(/\b(records|recordings|music|ltd|inc)\b/g, "").trim();
+  if (field === "artist") return normText(String(v).replace(/&/g, " and "));
+  // size/speed/descriptors are often missing on one side; medium and disc count decide
+  if (field === "format") return `${normText(v.medium)}|${v.discs || 1}`;
+  return normText(v);
+}
+
+function sameValue(field, a, b) {
+  return compareKey(field, a) === compareKey(field, b);
+}
 
-  if (cmd) {
-    // grammar: enrich -all upc:888... | enrich -all artist:"Miles Davis" title:"Kind of Blue" | enrich -all qid:Q283221
-    const lower = cmd.trim();
-    const parts = lower.split(/\s+/);
-    for (const p of parts) {
-      const m = p.match(/^([a-z_]+):(.*)$/i);
-      if (!m) continue;
-      const k = m[1].toLowerCase();
-      const v = m[2].replace(/^"(.+)"$/, "$1");
-      if (k === "upc" || k === "ean" || k === "barcode") seed.upc = v;
-      if (k === "mbid") seed.mbid = v;
-      if (k === "discogs") seed.discogs = v;
-      if (k === "qid") seed.qid = v;
-      if (k === "artist") seed.artist = v;
-      if (k === "title") seed.title = v;
+// First writer wins the canonical slot; later sources are kept as agreement or alternatives.
+function offerCanonical(out, field, value, from) {
+  if (value === null || value === undefined || value === "") return;
+  const p = out.provenance[field];
+  if (!p) {
+    if (!out.canonical[field]) out.canonical[field] = value;
+    out.provenance[field] = { value, ...from, agreed_by: [], alternatives: [] };
+    return;
+  }
+  if (p.source === from.source && p.record_id === from.record_id) return;
+  if (sameValue(field, p.value, value)) {
+    if (!p.agreed_by.some(x => x.source === from.source)) p.agreed_by.push(from);
+    if (field === "format") fillFormatGaps(out, p, value, from);
+    return;
+  }
+  const alt = p.alternatives.find(x => sameValue(field, x.value, value));
+  if (alt) {
+    if (alt.source !== from.source && !(alt.agreed_by || []).some(x => x.source === from.source)) {
+      (alt.agreed_by ||= []).push(from);
     }
+    return;
+  }
+  p.alternatives.push({ value, ...from });
+}
+
+// Agreeing formats (same medium and disc count) complete each other: MB knows 12" where Discogs
+// only says LP, Discogs knows the speed MB never records. provenance.format.filled names the source.
+function fillFormatGaps(out, p, value, from) {
+  const merged = { ...p.value, descriptors: [...(p.value.descriptors || [])] };
+  for (const k of ["size", "speed"]) {
+    if (!merged[k] && value[k]) {
+      merged[k] = value[k];
+      (p.filled ||= {})[k] = { source: from.source, record_id: from.record_id };
+    }
+  }
+  for (const d of value.descriptors || []) {
+    if (merged.descriptors.includes(d)) continue;
+    merged.descriptors.push(d);
+    ((p.filled ||= {}).descriptors ||= []).push({ value: d, source: from.source, record_id: from.record_id });
+  }
+  if (out.canonical.format === p.value) out.canonical.format = merged;
+  p.value = merged;
+}
+
+// genre merge across sources; provenance keeps the first source per value
+function offerCanonicalList(out, field, values, from) {
+  const list = (out.provenance[field] ||= []);
+  for (const v of values || []) {
+    if (!v) continue;
+    const hit = list.find(x => sameValue(field, x.value, v));
+    if (hit) {
+      if (hit.source !== from.source && !hit.agreed_by.some(x => x.source === from.source)) hit.agreed_by.push(from);
+      continue;
+    }
+    list.push({ value: v, ...from, agreed_by: [] });
+  }
+  out.canonical[field] = dedupe((out.canonical[field] || []).concat(values || []));
+}
+
+// The preferred source's own entry leads a value it only agreed with; the first offerer joins agreed_by
+function creditTo(c, source) {
+  const own = c.agreed_by.find(x => x.source === source);
+  const first = { source: c.source, record_id: c.record_id, confidence: c.confidence };
+  return { value: c.value, ...own, agreed_by: [first, ...c.agreed_by.filter(x => x !== own)] };
+}
+
+// Re-pick scalar canonical fields by the prefer= policy and list fields where sources disagree
+function applyMergePolicy(out) {
+  const prefer = out.flags.prefer;
+  for (const [field, p] of Object.entries(out.provenance)) {
+    if (Array.isArray(p) || !prefer || p.source === prefer) continue;
+    const offeredBy = c => c.source === prefer || (c.agreed_by || []).some(x => x.source === prefer);
+    if (offeredBy(p)) {
+      out.provenance[field] = { ...p, ...creditTo(p, prefer) };
+      continue;
+    }
+    const idx = p.alternatives.findIndex(offeredBy);
+    if (idx < 0) continue;
+    const alt = p.alternatives[idx];
+    const demoted = { value: p.value, source: p.source, record_id: p.record_id, confidence: p.confidence };
+    if (p.agreed_by.length) demoted.agreed_by = p.agreed_by;
+    const alternatives = p.alternatives.filter((_, i) => i !== idx).concat([demoted]);
+    const win = alt.source === prefer ? { ...alt, agreed_by: alt.agreed_by || [] } : creditTo(alt, prefer);
+    out.provenance[field] = { ...win, alternatives };
+    out.canonical[field] = win.value;
+  }
+
+  out.conflicts = [];
+  for (const field of CONFLICT_FIELDS) {
+    const p = out.provenance[field];
+    if (!p || !p.alternatives.length) continue;
+    const sourcesOf = c => [c, ...(c.agreed_by || [])].map(x => ({ source: x.source, record_id: x.record_id }));
+    out.conflicts.push({
+      field,
+      winner: p.value,
+      policy: prefer ? `prefer=${prefer}` : "pipeline order",
+      values: [p, ...p.alternatives].map(c => ({ value: c.value, sources: sourcesOf(c) })),
+    });
+  }
+}
+
+/* ------------------------ Input seed parsing --------------------------- */
+
+// Query/cmd key -> seed field. Earlier aliases win when several are given.
+const SEED_PARAMS = {
+  upc: "upc",
+  ean: "upc",
+  barcode: "upc",
+  mbid: "mbid",
+  mb_release_mbid: "mb_release_mbid",
+  mb_release_group: "mb_release_group",
+  mb_artist_id: "mb_artist_id",
+  discogs: "discogs",
+  discogs_release_id: "discogs",
+  discogs_master_id: "discogs_master_id",
+  qid: "qid",
+  catno: "catno",
+  catalog_number: "catno",
+  runout: "runout",
+  matrix: "runout",
+  label: "label",
+  title: "title",
+  artist: "artist",
+  discogs_artist_id: "discogs_artist_id",
+};
+
+// cmd flag -> validator for its value (null = boolean switch)
+const CMD_FLAGS = {
+  all: null,
+  nocache: null,
+  market: null,
+  images: v => ["artist", "album", "both", "none"].includes(v.toLowerCase()),
+  lang: v => /^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(v),
+  max_images: v => /^\d+$/.test(v),
+  prefer_format: v => /^(vinyl|12|10|7|cd|cassette|digital)$/i.test(v),
+  country: v => /^[a-z]{2}$/i.test(v),
+  year: v => /^\d{4}$/.test(v),
+  prefer: v => MERGE_SOURCES.includes(v.toLowerCase()),
+};
+
+const CMD_VERBS = ["enrich", "artist"];
+
+function parseSeed(params) {
+  const seed = {};
+  for (const field of new Set(Object.values(SEED_PARAMS))) seed[field] = null;
+  for (const [key, field] of Object.entries(SEED_PARAMS)) {
+    if (!seed[field]) seed[field] = params.get(key) || null;
   }
   return seed;
 }
 
+class CmdSyntaxError extends Error {
+  constructor(message, token, position) {
+    super(message);
+    this.name = "CmdSyntaxError";
+    this.token = token;
+    this.position = position;
+  }
+
+  detail() {
+    return { token: this.token, position: this.position };
+  }
+}
+
+// Split a cmd line into whitespace-separated tokens. Quotes (" or ') group spaces into
+// one token and are stripped; a backslash escapes the next character inside quotes.
+function tokenizeCmd(cmd) {
+  const tokens = [];
+  let i = 0;
+  while (i < cmd.length) {
+    if (/\s/.test(cmd[i])) {
+      i++;
+      continue;
+    }
+    const start = i;
+    let text = "";
+    while (i < cmd.length && !/\s/.test(cmd[i])) {
+      const ch = cmd[i];
+      if (ch === "\\" && i + 1 < cmd.length) {
+        text += cmd[i + 1];
+        i += 2;
+        continue;
+      }
+      if (ch !== '"' && ch !== "'") {
+        text += ch;
+        i++;
+        continue;
+      }
+      const quoteAt = i++;
+      let closed = false;
+      while (i < cmd.length) {
+        if (cmd[i] === "\\" && i + 1 < cmd.length) {
+          text += cmd[i + 1];
+          i += 2;
+        } else if (cmd[i] === ch) {
+          closed = true;
+          i++;
+          break;
+        } else {
+          text += cmd[i++];
+        }
+      }
+      if (!closed) throw new CmdSyntaxError(`unterminated ${ch} quote`, cmd.slice(start), quoteAt);
+    }
+    tokens.push({ raw: cmd.slice(start, i), text, position: start });
+  }
+  return tokens;
+}
+
+// grammar: [verb] (-flag | -flag=value | key:value)*
+//   enrich -all upc:888... | enrich -all artist:"Miles Davis" title:"Kind of Blue" | enrich -all qid:Q283221
+function parseCmd(cmd) {
+  const parsed = { verb: null, seed: {}, flags: {} };
+  if (!cmd || !cmd.trim()) return parsed;
+
+  const tokens = tokenizeCmd(cmd);
+  tokens.forEach((tok, idx) => {
+    const fail = msg => {
+      throw new CmdSyntaxError(msg, tok.raw, tok.position);
+    };
+
+    if (tok.raw.startsWith("-")) {
+      const m = tok.text.match(/^--?([a-z_]+)(?:=(.*))?$/is);
+      if (!m) fail(`malformed flag ${tok.raw}`);
+      const name = m[1].toLowerCase();
+      if (!Object.hasOwn(CMD_FLAGS, name)) fail(`unknown flag -${name}`);
+      const check = CMD_FLAGS[name];
+      if (check === null) {
+        if (m[2] !== undefined && !/^(1|0|true|false|yes|no)$/i.test(m[2])) fail(`flag -${name} takes no value`);
+        parsed.flags[name] = m[2] === undefined ? "1" : m[2];
+      } else {
+        if (m[2] === undefined || m[2] === "") fail(`flag -${name} needs a value (-${name}=...)`);
+        if (!check(m[2])) fail(`invalid value for -${name}: ${m[2]}`);
+        parsed.flags[name] = m[2];
+      }
+      return;
+    }
+
+    const kv = tok.text.match(/^([a-z_]+):([\s\S]*)$/i);
+    if (kv) {
+      const key = kv[1].toLowerCase();
+      if (!Object.hasOwn(SEED_PARAMS, key)) fail(`unknown key ${key}`);
+      if (!kv[2].trim()) fail(`missing value for ${key}`);
+      parsed.seed[key] = kv[2].trim();
+      return;
+    }
+
+    if (idx === 0 && CMD_VERBS.includes(tok.text.toLowerCase())) {
+      parsed.verb = tok.text.toLowerCase();
+      return;
+    }
+    fail(`unexpected token ${tok.raw}`);
+  });
+  return parsed;
+}
+
+// Fold a parsed cmd into a copy of the request params (cmd wins over query keys).
+function applyCmd(params, parsed) {
+  const merged = new URLSearchParams(params);
+  for (const [key, v] of Object.entries(parsed.seed)) {
+    // a cmd key replaces every alias of the same seed field
+    for (const [alias, field] of Object.entries(SEED_PARAMS)) {
+      if (field === SEED_PARAMS[key]) merged.delete(alias);
+    }
+    merged.set(key, v);
+  }
+  for (const [name, v] of Object.entries(parsed.flags)) merged.set(name, v);
+  if (parsed.verb === "artist") merged.set("type", "artist");
+  return merged;
+}
+
 function normalizeSeed(seed, out) {
   seed.upc = normalizeBarcode(seed.upc);
-  if (seed.upc) out.diagnostics.tried_barcodes.push(seed.upc);
+  pushTriedBarcode(seed.upc, out);
+}
+
+function pushTriedBarcode(bc, out) {
+  if (!bc) return;
+  out.diagnostics.tried_barcodes.push(bc);
   // also test leading-0 13-digit if we have a 12-digit UPC
-  if (seed.upc && seed.upc.length === 12) {
-    const upc13 = ("0" + seed.upc).padStart(13, "0");
+  if (bc.length === 12) {
+    const upc13 = ("0" + bc).padStart(13, "0");
     out.diagnostics.tried_barcodes.push(upc13);
   }
 }
 
+/* ------------------------ Batch enrichment --------------------------- */
+
+// Subrequests one invocation may make (Workers paid plan); a batch shares them across items.
+const SUBREQUEST_LIMIT = 1000;
+// Measured for a UPC seed with every source answering: Discogs search + release, 4 MB lookups,
+// 1 MB_THROTTLE reservation, 2 Wikidata entities, 2 SPARQL queries, 1 label lookup, 4 Wikipedia
+// pages, CAA, 1 Commons call per artist P18 image: 18. A master seed with 3 versions pages
+// adds 3, market data 3 more.
+const ITEM_SUBREQUESTS = 24;
+// Retries, runout verification and extra P18 images can double that; an item starts only while
+// this much budget is left, so the rest of a batch fails cleanly instead of mid-request.
+const ITEM_SUBREQUESTS_MAX = 45;
+const BATCH_MAX_ITEMS = Math.floor(SUBREQUEST_LIMIT / ITEM_SUBREQUESTS);
+// MB paces each item to ~4 s, so a buffered reply holds at most this many; larger batches stream
+const BATCH_MAX_BUFFERED = 10;
+const BATCH_CONCURRENCY = 4;
+
+async function handleBatch(req, url, ctx) {
+  let items;
+  try {
+    items = parseBatchBody(await req.text(), req.headers.get("content-type") || "");
+  } catch (e) {
+    return jsonError(400, `invalid batch body: ${String(e && e.message ? e.message : e)}`);
+  }
+  if (!items.length) return jsonError(400, "batch body contains no seeds");
+  if (items.length > BATCH_MAX_ITEMS) {
+    return jsonError(413, `batch too large: ${items.length} items (max ${BATCH_MAX_ITEMS})`);
+  }
+
+  const streamParam = url.searchParams.get("stream");
+  const stream =
+    streamParam !== null
+      ? toBool(streamParam)
+      : (req.headers.get("accept") || "").includes("application/x-ndjson") || items.length > BATCH_MAX_BUFFERED;
+  if (!stream && items.length > BATCH_MAX_BUFFERED) {
+    return jsonError(413, `batch of ${items.length} items must stream (max ${BATCH_MAX_BUFFERED} unstreamed)`);
+  }
+
+  // A running item holds the most any item may use (raised to the heaviest one seen, e.g. with a
+  // large max_images) and hands back what it did not use
+  let budget = SUBREQUEST_LIMIT;
+  let hold = ITEM_SUBREQUESTS_MAX;
+  const runItem = async (item, i) => {
+    if (budget < hold) {
+      return { index: i, ok: false, error: `too many subrequests: batch budget of ${SUBREQUEST_LIMIT} spent` };
+    }
+    const held = hold;
+    budget -= held;
+    const res = await runBatchItem(item, i, url.searchParams);
+    const used = res.result ? subrequestCount(res.result) : 0;
+    budget += held - used;
+    hold = Math.max(hold, used);
+    return res;
+  };
+
+  if (!stream) {
+    const results = new Array(items.length);
+    await mapPool(items, BATCH_CONCURRENCY, async (item, i) => {
+      results[i] = await runItem(item, i);
+    });
+    return json(
+      { schema_version: SCHEMA_VERSION, timestamp: new Date().toISOString(), count: results.length, results },
+      0
+    );
+  }
+
+  // NDJSON: one line per item in completion order, so a slow record never blocks the rest
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const enc = new TextEncoder();
+  const pump = (async () => {
+    try {
+      await mapPool(items, BATCH_CONCURRENCY, async (item, i) => {
+        const res = await runItem(item, i);
+        await writer.write(enc.encode(JSON.stringify(res) + "\n"));
+      });
+    } finally {
+      await writer.close();
+    }
+  })();
+  if (ctx && ctx.waitUntil) ctx.waitUntil(pump);
+
+  return new Response(readable, {
+    status: 200,
+    headers: { "content-type": "application/x-ndjson; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+function subrequestCount(out) {
+  return Object.entries(out.diagnostics).reduce((n, [k, v]) => (k.endsWith("_http") ? n + v.length : n), 0);
+}
+
+function parseBatchBody(text, contentType) {
+  const body = (text || "").trim();
+  if (!body) return [];
+  if (!contentType.includes("ndjson") && body.startsWith("[")) {
+    const arr = JSON.parse(body);
+    if (!Array.isArray(arr)) throw new Error("expected a JSON array");
+    return arr;
+  }
+  // NDJSON: a bad line becomes a per-item error instead of failing the whole batch
+  return body
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return { __parse_error: String(e && e.message ? e.message : e) };
+      }
+    });
+}
+
+async function runBatchItem(item, index, batchParams) {
+  try {
+    if (item && item.__parse_error) throw new Error(`invalid NDJSON line: ${item.__parse_error}`);
+
+    // Strings are cmd lines; objects use the same keys as the query string
+    let own = new URLSearchParams();
+    if (typeof item === "string") {
+      own.set("cmd", item);
+    } else if (item && typeof item === "object" && !Array.isArray(item)) {
+      for (const [k, v] of Object.entries(item)) {
+        if (v !== null && v !== undefined) own.set(k, String(v));
+      }
+    } else {
+      throw new Error("item must be an object or a cmd string");
+    }
+    try {
+      own = applyCmd(own, parseCmd(own.get("cmd")));
+    } catch (e) {
+      if (e instanceof CmdSyntaxError) throw new Error(`cmd: ${e.message} at position ${e.position}`);
+      throw e;
+    }
+
+    // Batch-level query params act as default flags for every item
+    const merged = new URLSearchParams(batchParams);
+    for (const [k, v] of own) merged.set(k, v);
+
+    const seed = parseSeed(own);
+    if (!hasSeedIdentifier(seed)) {
+      throw new Error(
+        seed.label ? "label alone is not an identifier (pair it with catno or runout)" : "item has no usable identifier"
+      );
+    }
+
+    const run = merged.get("type") === "artist" ? runArtistEnrichment : runEnrichment;
+    const out = await run(seed, parseFlags(merged));
+    const fatal = out.diagnostics.notes.find(n => n.startsWith("fatal:"));
+    if (fatal) return { index, ok: false, error: fatal.slice("fatal:".length), result: out };
+    return { index, ok: true, result: out };
+  } catch (e) {
+    return { index, ok: false, error: String(e && e.message ? e.message : e) };
+  }
+}
+
+// label only narrows a catno/runout search; on its own it identifies nothing
+function hasSeedIdentifier(seed) {
+  return Object.entries(seed).some(([field, v]) => v && field !== "label");
+}
+
+async function mapPool(items, limit, fn) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      await fn(items[i], i);
+    }
+  });
+  await Promise.all(runners);
+}
+
 /* ------------------------ HTTP helpers --------------------------- */
 
 const UA =
   "vinylcollection-enricher/4.3.0 (contact: https://vinylcollection.vip; bot: true)";
 const JSON_H = { accept: "application/json", "user-agent": UA };
 
-async function GETjson(base, path, diagArr, qs = "") {
+// Worker bindings (secrets, Durable Objects) are per deployment, so one module-level copy is
+// safe to share across the requests an isolate serves.
+let BINDINGS = {};
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+async function GETjson(base, path, diagArr, qs = "", headers = JSON_H) {
   const url = base + path + (qs ? (path.includes("?") ? "&" : "?") + qs : "");
-  const r = await fetch(url, { headers: JSON_H });
+  const r = await fetch(url, { headers });
   diagArr.push({ url: path + (qs ? "?" + qs : ""), status: r.status });
   if (r.status === 429) {
     // single backoff retry
-    await new Promise(res => setTimeout(res, 2000));
-    const retry = await fetch(url, { headers: JSON_H });
+    await sleep(2000);
+    const retry = await fetch(url, { headers });
     diagArr.push({ url: path + " (retry)", status: retry.status });
     if (!retry.ok) return null;
     return retry.json();
@@ -246,17 +896,88 @@ async function GETjson(base, path, diagArr, qs = "") {
 
 /* ------------------------ Discogs --------------------------- */
 
+// Discogs limits per source IP/token over a moving 60s window and reports the budget on
+// every response. The isolate serves many requests, so the last reading is shared.
+const DISCOGS_RATE = { limit: null, used: null, remaining: null, at: 0 };
+const DISCOGS_WINDOW_MS = 60000;
+const DISCOGS_RESERVE = 5; // below this, optional calls are skipped and required ones paced
+const DISCOGS_MAX_WAIT_MS = 5000; // longest a required call waits for budget
+
+function readDiscogsRate(r, entry) {
+  const num = name => {
+    const v = r.headers.get(name);
+    return v != null && /^\d+$/.test(v) ? Number(v) : null;
+  };
+  const remaining = num("x-discogs-ratelimit-remaining");
+  if (remaining == null && r.status !== 429) return;
+  entry.ratelimit = {
+    limit: num("x-discogs-ratelimit"),
+    used: num("x-discogs-ratelimit-used"),
+    remaining: r.status === 429 ? 0 : remaining,
+  };
+  Object.assign(DISCOGS_RATE, entry.ratelimit, { at: Date.now() });
+}
+
+// How long to hold the next call: nothing while the budget is healthy or the reading has aged
+// out of the window; otherwise spread what is left over the rest of the window (all of it at 0).
+function discogsPauseMs() {
+  const { remaining, at } = DISCOGS_RATE;
+  const age = Date.now() - at;
+  if (remaining == null || remaining >= DISCOGS_RESERVE || age >= DISCOGS_WINDOW_MS) return 0;
+  return Math.ceil((DISCOGS_WINDOW_MS - age) / (remaining + 1));
+}
+
+function noteDiscogsSkipped(out, call, reason = "rate_limit_budget") {
+  if (!out.discogs) out.discogs = {};
+  if (!out.discogs.skipped) out.discogs.skipped = [];
+  out.discogs.skipped.push({ call, reason, remaining: DISCOGS_RATE.remaining });
+  out.diagnostics.notes.push(`discogs: skipped ${call} (${reason}, ${DISCOGS_RATE.remaining} left)`);
+}
+
+// Authenticated when the DISCOGS_TOKEN secret is bound (higher rate limit, full images).
+// Optional calls (`what` names them in the output) are dropped when the budget runs low;
+// required ones wait their share of the window, or are dropped too once it is spent.
+// A 429 is not retried: the moving window would refuse the retry just the same.
+async function discogsGET(path, out, qs = "", { optional = false, what = path } = {}) {
+  const pause = discogsPauseMs();
+  if (pause > 0) {
+    if (optional) {
+      noteDiscogsSkipped(out, what);
+      return null;
+    }
+    if (DISCOGS_RATE.remaining === 0 && pause > DISCOGS_MAX_WAIT_MS) {
+      noteDiscogsSkipped(out, what, "rate_limited");
+      return null;
+    }
+    await sleep(Math.min(pause, DISCOGS_MAX_WAIT_MS));
+  }
+  const headers = { ...JSON_H };
+  if (BINDINGS.DISCOGS_TOKEN) {
+    headers.authorization = `Discogs token=${BINDINGS.DISCOGS_TOKEN}`;
+  } else {
+    pushNoteOnce(out, "discogs: anonymous requests (DISCOGS_TOKEN not bound)");
+  }
+  const r = await fetch(`https://api.discogs.com${path}${qs ? "?" + qs : ""}`, { headers });
+  const entry = { url: path + (qs ? "?" + qs : ""), status: r.status };
+  readDiscogsRate(r, entry);
+  out.diagnostics.discogs_http.push(entry);
+  if (r.status === 429) {
+    noteDiscogsSkipped(out, what, "rate_limited");
+    return null;
+  }
+  return r.ok ? r.json() : null;
+}
+
 async function resolveDiscogsByUPC(seed, out) {
   if (!seed.upc) return;
-  // Database search is public without token; returns release + master ids (best-effort)
-  const data = await GETjson(
-    "https://api.discogs.com",
+  // Database search returns release + master ids; the full release record follows
+  const data = await discogsGET(
     "/database/search",
-    out.diagnostics.discogs_http,
+    out,
     new URLSearchParams({
       type: "release",
       barcode: seed.upc,
-      per_page: "1",
+      per_page: "10",
       page: "1",
     }).toString()
   );
@@ -265,8 +986,140 @@ async function resolveDiscogsByUPC(seed, out) {
     return;
   }
   if (!data.results || !data.results.length) return;
-  const hit = data.results[0];
+  const ranked = rankDiscogsHits(data.results, `discogs barcode:${seed.upc}`, out);
+  await applyDiscogsHitWithRelease(ranked[0].item, seed, out, "barcode");
+}
+
+// Prefer the full /releases/{id} record over the thin search hit; fall back to the hit
+async function applyDiscogsHitWithRelease(hit, seed, out, how) {
+  const rel = hit.id ? await discogsGET(`/releases/${hit.id}`, out) : null;
+  if (rel && rel.id) {
+    applyDiscogsRelease(rel, seed, out, how);
+  } else {
+    applyDiscogsSearchHit(hit, seed, out, how);
+  }
+}
+
+function rankDiscogsHits(hits, context, out, extra) {
+  const ranked = rankReleases(hits, discogsRankView, out, extra);
+  recordRanking(out, context, ranked, r => String(r.item.id));
+  return ranked;
+}
+
+async function resolveDiscogsByCatno(seed, out) {
+  const params = { type: "release", catno: seed.catno, per_page: "25", page: "1" };
+  if (seed.label) params.label = seed.label;
+  const data = await discogsGET("/database/search", out, new URLSearchParams(params).toString());
+  if (!data) {
+    out.diagnostics.notes.push("discogs catno query failed or rate-limited");
+    return;
+  }
+  const ranked = rankCatnoHits(data.results || [], seed, h => ({
+    catno: h.catno,
+    labels: [].concat(h.label || []),
+    title: h.title,
+  }));
+  if (!ranked.length) return;
+  out.diagnostics.matched_on = out.diagnostics.matched_on || "catno";
+  const catnoRank = new Map(ranked.map(r => [r.hit, r.rank]));
+  const best = rankDiscogsHits(ranked.map(r => r.hit), `discogs catno:${seed.catno}`, out, h => [
+    catnoRank.get(h),
+    `label/catno match +${catnoRank.get(h)}`,
+  ]);
+  await applyDiscogsHitWithRelease(best[0].item, seed, out, "catno");
+}
+
+// Runout seed: Discogs indexes matrix text with the other identifiers under `barcode`; failing
+// that, the catalog-number-like stem of the matrix. Search hits carry no identifiers, so each
+// candidate is confirmed against the full release before it is used.
+const RUNOUT_VERIFY_MAX = 5;
+
+async function resolveDiscogsByRunout(seed, out) {
+  const want = normCatno(seed.runout);
+  if (want.length < 4) {
+    out.diagnostics.notes.push(`runout seed too short to search: ${seed.runout}`);
+    return;
+  }
+  const search = params => {
+    const qs = new URLSearchParams({ type: "release", per_page: "10", page: "1", ...params });
+    return discogsGET("/database/search", out, qs.toString());
+  };
+  let data = await search({ barcode: seed.runout });
+  let hits = data?.results || [];
+  const stem = runoutCatnoStem(seed.runout);
+  if (!hits.length && stem) {
+    data = await search(seed.label ? { catno: stem, label: seed.label } : { catno: stem });
+    hits = data?.results || [];
+  }
+  if (!hits.length) {
+    out.diagnostics.notes.push(`discogs: no release found for runout "${seed.runout}"`);
+    return;
+  }
+
+  const ranked = rankDiscogsHits(hits, `discogs runout:${seed.runout}`, out);
+  for (const { item } of ranked.slice(0, RUNOUT_VERIFY_MAX)) {
+    if (!item.id) continue;
+    const rel = await discogsGET(`/releases/${item.id}`, out);
+    if (!rel || !rel.id) continue;
+    const matrix = (rel.identifiers || []).filter(x => x.type === "Matrix / Runout");
+    if (matrix.some(x => runoutMatches(x.value, want))) {
+      out.diagnostics.matched_on = out.diagnostics.matched_on || "runout";
+      applyDiscogsRelease(rel, seed, out, "runout");
+      return;
+    }
+  }
+  out.diagnostics.notes.push(
+    `discogs: none of ${Math.min(ranked.length, RUNOUT_VERIFY_MAX)} candidates carries runout "${seed.runout}"`
+  );
+}
+
+// "XSM 47324-1A" -> "XSM 47324": drop trailing lacquer/stamper suffixes (1A, A2, B, 3)
+function runoutCatnoStem(runout) {
+  const tokens = String(runout).trim().split(/[\s-]+/).filter(t => /[A-Z0-9]/i.test(t));
+  while (tokens.length > 1 && /^(\d{1,2}[A-Z]{1,2}\d?|[A-Z]{1,2}\d{0,2}|\d)$/i.test(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+  const stem = tokens.join(" ");
+  return normCatno(stem).length >= 3 && normCatno(stem) !== normCatno(runout) ? stem : null;
+}
+
+// Etchings are transcribed with varying spacing and punctuation, and often only in part
+function runoutMatches(value, want) {
+  const have = normCatno(value);
+  return have.includes(want) || (have.length >= 4 && want.includes(have));
+}
 
+// Catalog numbers are printed inconsistently ("CS 8163", "CS-8163", "cs8163")
+function normCatno(s) {
+  return String(s || "").toUpperCase().replace(/[^A-Z0-9]+/g, "");
+}
+
+function normText(s) {
+  return String(s || "").toLowerCase().replace(/\s+\(\d+\)$/, "").replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// Rank search hits for a label+catno seed. pick(hit) -> { catno, labels[], title, score? }
+function rankCatnoHits(hits, seed, pick) {
+  const want = normCatno(seed.catno);
+  const wantLabel = normText(seed.label);
+  return hits
+    .map(hit => {
+      const h = pick(hit);
+      let rank = 0;
+      if (normCatno(h.catno) === want) rank += 50;
+      else if (want && normCatno(h.catno).includes(want)) rank += 20;
+      if (wantLabel && (h.labels || []).some(l => normText(l) === wantLabel)) rank += 30;
+      else if (wantLabel && (h.labels || []).some(l => normText(l).includes(wantLabel))) rank += 10;
+      if (seed.title && normText(h.title).includes(normText(seed.title))) rank += 10;
+      if (seed.artist && normText(h.title).includes(normText(seed.artist))) rank += 10;
+      if (typeof h.score === "number") rank += h.score / 10;
+      return { hit, rank };
+    })
+    .filter(r => r.rank >= 20)
+    .sort((a, b) => b.rank - a.rank);
+}
+
+function applyDiscogsSearchHit(hit, seed, out, how) {
   out.ids.discogs_release_id = hit.id
     ? { id: String(hit.id), url: `https://www.discogs.com/release/${hit.id}` }
     : undefined;
@@ -279,23 +1132,511 @@ async function resolveDiscogsByUPC(seed, out) {
   }
 
   // canonical hints
-  if (hit.country) out.canonical.country = hit.country;
-  if (hit.label && !out.canonical.label) out.canonical.label = hit.label;
-  if (hit.genre && hit.genre.length) out.canonical.genre = dedupe(out.canonical.genre.concat(hit.genre));
-  if (hit.style && hit.style.length) out.canonical.genre = dedupe(out.canonical.genre.concat(hit.style));
-  if (hit.title && !out.canonical.title) {
+  const from = origin("discogs", hit.id, how);
+  offerCanonical(out, "country", hit.country, from);
+  offerCanonical(out, "label", [].concat(hit.label || [])[0], from);
+  if (hit.catno !== "none") offerCanonical(out, "catalog_number", hit.catno, from);
+  offerCanonicalList(out, "genre", [].concat(hit.genre || [], hit.style || []), from);
+  offerCanonical(out, "format", discogsFormat(hit.formats), from);
+  if (hit.title) {
     // Discogs title is often "Artist – Title"
     const m = hit.title.split(" – ");
     if (m.length === 2) {
-      out.canonical.artist = out.canonical.artist || m[0];
-      out.canonical.title = out.canonical.title || m[1];
+      offerCanonical(out, "artist", discogsName(m[0]), from);
+      offerCanonical(out, "title", m[1], from);
+    } else {
+      offerCanonical(out, "title", hit.title, from);
+    }
+  }
+  if (hit.year) offerCanonical(out, "year", String(hit.year), from);
+  offerCanonical(out, "cover_url", hit.thumb, from);
+  if (how === "barcode") offerCanonical(out, "upc", seed.upc, from);
+}
+
+// Accepts 123, r123, [r123] or a discogs.com release URL
+function parseDiscogsId(v, kind) {
+  if (!v) return null;
+  const s = String(v).trim();
+  const fromUrl = s.match(new RegExp(`/${kind}/(\\d+)`));
+  if (fromUrl) return fromUrl[1];
+  const m = s.match(new RegExp(`^\\[?${kind[0]}?(\\d+)\\]?$`, "i"));
+  return m ? m[1] : null;
+}
+
+// Discogs disambiguates same-named artists and labels as "Name (2)"
+function discogsName(n) {
+  return (n || "").replace(/\s+\(\d+\)$/, "");
+}
+
+// Join credited artists with their separators
+function discogsArtistName(artists) {
+  if (!Array.isArray(artists) || !artists.length) return null;
+  let name = "";
+  artists.forEach((a, i) => {
+    name += discogsName(a.anv || a.name);
+    if (i < artists.length - 1) {
+      const join = (a.join || "&").trim();
+      name += join === "," ? ", " : ` ${join} `;
+    }
+  });
+  return name.trim() || null;
+}
+
+async function resolveDiscogsRelease(seed, out) {
+  const id = parseDiscogsId(seed.discogs, "release");
+  if (!id) {
+    out.diagnostics.notes.push(`discogs release seed not understood: ${seed.discogs}`);
+    return;
+  }
+  const rel = await discogsGET(`/releases/${id}`, out);
+  if (!rel || !rel.id) {
+    out.diagnostics.notes.push(`discogs release ${id} not found or rate-limited`);
+    return;
+  }
+  out.diagnostics.matched_on = out.diagnostics.matched_on || "discogs_release";
+  applyDiscogsRelease(rel, seed, out, "id");
+}
+
+async function resolveDiscogsMaster(seed, out) {
+  const id = parseDiscogsId(seed.discogs_master_id, "master");
+  if (!id) {
+    out.diagnostics.notes.push(`discogs master seed not understood: ${seed.discogs_master_id}`);
+    return;
+  }
+  const master = await discogsGET(`/masters/${id}`, out);
+  if (!master || !master.id) {
+    out.diagnostics.notes.push(`discogs master ${id} not found or rate-limited`);
+    return;
+  }
+  out.ids.discogs_master_id = { id: String(master.id), url: `https://www.discogs.com/master/${master.id}` };
+  out.discogs.master = {
+    id: String(master.id),
+    title: master.title || null,
+    year: master.year ? String(master.year) : null,
+    main_release: master.main_release ? String(master.main_release) : null,
+    versions_count: null,
+  };
+  // master year is the original release year, not the main release's pressing year
+  if (master.year) {
+    offerCanonical(out, "original_year", String(master.year), origin("discogs", `master/${master.id}`, "master"));
+  }
+
+  // main release supplies canonical data unless a release seed already did
+  let mainRel = null;
+  if (master.main_release && !out.ids.discogs_release_id) {
+    mainRel = await discogsGET(`/releases/${master.main_release}`, out);
+    if (mainRel && mainRel.id) {
+      out.diagnostics.matched_on = out.diagnostics.matched_on || "discogs_master";
+      applyDiscogsRelease(mainRel, seed, out, "master");
+    } else {
+      out.diagnostics.notes.push(`discogs main release ${master.main_release} not found or rate-limited`);
+    }
+  }
+
+  await collectDiscogsVersions(master.id, mainRel, out);
+}
+
+async function collectDiscogsVersions(masterId, mainRel, out) {
+  const versions = [];
+  let pages = 1;
+  // a popular master can have hundreds of versions; cap at 3 pages of 100
+  for (let page = 1; page <= Math.min(pages, 3); page++) {
+    const data = await discogsGET(
+      `/masters/${masterId}/versions`,
+      out,
+      new URLSearchParams({ per_page: "100", page: String(page) }).toString(),
+      { optional: true, what: `master versions page ${page}` }
+    );
+    if (!data || !Array.isArray(data.versions)) break;
+    pages = data.pagination?.pages || 1;
+    if (out.discogs.master) out.discogs.master.versions_count = data.pagination?.items ?? null;
+    for (const v of data.versions) {
+      const isMain = mainRel && String(mainRel.id) === String(v.id);
+      const mainBarcode = isMain
+        ? normalizeBarcode((mainRel.identifiers || []).find(x => x.type === "Barcode")?.value)
+        : null;
+      versions.push({
+        id: String(v.id),
+        url: `https://www.discogs.com/release/${v.id}`,
+        title: v.title || null,
+        format: v.format || null,
+        major_formats: v.major_formats || [],
+        country: v.country || null,
+        year: v.released ? String(v.released).slice(0, 4) : null,
+        label: v.label || null,
+        catno: v.catno || null,
+        barcode: mainBarcode,
+        main_release: Boolean(isMain),
+      });
+    }
+  }
+  out.discogs.versions = versions;
+}
+
+function discogsCredit(a) {
+  return {
+    name: discogsName(a.anv || a.name),
+    discogs_artist_id: a.id ? String(a.id) : null,
+    role: a.role || null,
+    tracks: a.tracks || null,
+  };
+}
+
+function discogsCommunity(c) {
+  if (!c) return null;
+  return {
+    have: c.have ?? null,
+    want: c.want ?? null,
+    rating: c.rating ? { average: c.rating.average ?? null, count: c.rating.count ?? null } : null,
+  };
+}
+
+// The full release record, trimmed to what a collection page needs
+function discogsReleaseDetail(rel) {
+  return {
+    id: String(rel.id),
+    title: rel.title || null,
+    status: rel.status || null,
+    released: rel.released || null,
+    tracklist: (rel.tracklist || []).map(t => ({
+      position: t.position || null,
+      type: t.type_ || "track",
+      title: t.title || null,
+      duration: t.duration || null,
+      artists: (t.artists || []).map(discogsCredit),
+      extraartists: (t.extraartists || []).map(discogsCredit),
+    })),
+    extraartists: (rel.extraartists || []).map(discogsCredit),
+    formats: (rel.formats || []).map(f => ({
+      name: f.name || null,
+      qty: f.qty || null,
+      descriptions: f.descriptions || [],
+      text: f.text || null,
+    })),
+    identifiers: (rel.identifiers || []).map(i => ({ type: i.type, value: i.value, description: i.description || null })),
+    labels: (rel.labels || []).map(l => ({ name: discogsName(l.name), catno: l.catno || null, id: l.id ? String(l.id) : null })),
+    companies: (rel.companies || []).map(c => ({
+      name: discogsName(c.name),
+      role: c.entity_type_name || null,
+      catno: c.catno || null,
+      id: c.id ? String(c.id) : null,
+    })),
+    notes: rel.notes || null,
+    community: discogsCommunity(rel.community),
+    images: (rel.images || []).map(i => ({
+      type: i.type || null,
+      url: i.uri || null,
+      thumb: i.uri150 || null,
+      width: i.width || null,
+      height: i.height || null,
+    })),
+  };
+}
+
+function applyDiscogsRelease(rel, seed, out, how) {
+  out.ids.discogs_release_id = { id: String(rel.id), url: `https://www.discogs.com/release/${rel.id}` };
+  out.discogs.release = discogsReleaseDetail(rel);
+  Object.assign(out.pressing, discogsPressing(rel, seed));
+  if (rel.master_id && !out.ids.discogs_master_id) {
+    out.ids.discogs_master_id = {
+      id: String(rel.master_id),
+      url: `https://www.discogs.com/master/${rel.master_id}`,
+    };
+  }
+
+  // canonical fields
+  const from = origin("discogs", rel.id, how);
+  offerCanonical(out, "title", rel.title, from);
+  offerCanonical(out, "artist", discogsArtistName(rel.artists), from);
+  const li = (rel.labels || [])[0];
+  if (li?.name) offerCanonical(out, "label", discogsName(li.name), from);
+  if (li?.catno !== "none") offerCanonical(out, "catalog_number", li?.catno, from);
+  if (rel.year) offerCanonical(out, "year", String(rel.year), from);
+  offerCanonical(out, "country", rel.country, from);
+  offerCanonical(out, "format", discogsFormat(rel.formats), from);
+  offerCanonicalList(out, "genre", [].concat(rel.genres || [], rel.styles || []), from);
+  const tracks = (rel.tracklist || []).filter(t => (t.type_ || "track") === "track");
+  if (tracks.length) offerCanonical(out, "track_count", tracks.length, from);
+  const img = (rel.images || []).find(i => i.type === "primary") || (rel.images || [])[0];
+  if (img) offerCanonical(out, "cover_url", img.uri || img.uri150, from);
+
+  // barcode identifiers feed the MusicBrainz crosswalk the same way a UPC seed does
+  const barcodes = (rel.identifiers || [])
+    .filter(x => x.type === "Barcode")
+    .map(x => normalizeBarcode(x.value))
+    .filter(Boolean);
+  for (const bc of dedupe(barcodes)) {
+    if (!seed.upc) seed.upc = bc;
+    if (!out.diagnostics.tried_barcodes.includes(bc)) pushTriedBarcode(bc, out);
+  }
+  if (barcodes.length) offerCanonical(out, "upc", barcodes[0], from);
+}
+
+/* ------------------------ Discogs marketplace --------------------------- */
+
+// Prices move faster than catalogue data: market blocks are cached on their own, per release
+const MARKET_TTL = 300; // 5 min
+const MARKET_CACHE_ORIGIN = "https://market-cache.vinylcollection.vip";
+
+async function enrichDiscogsMarket(out, noCache) {
+  const id = out.ids.discogs_release_id?.id;
+  if (!id) {
+    out.diagnostics.notes.push("market: no Discogs release resolved");
+    return;
+  }
+  const cache = typeof caches !== "undefined" ? caches.default : null;
+  const key = new Request(`${MARKET_CACHE_ORIGIN}/discogs/release/${id}`);
+  if (cache && !noCache) {
+    const hit = await cache.match(key);
+    if (hit) {
+      out.market = { ...(await hit.json()), cached: true };
+      return;
+    }
+  }
+
+  const market = {
+    discogs_release_id: id,
+    price_suggestions: null,
+    lowest_price: null,
+    num_for_sale: null,
+    blocked_from_sale: null,
+    community: null,
+    fetched_at: new Date().toISOString(),
+  };
+
+  // price suggestions are per condition grade and need an authenticated seller account
+  if (BINDINGS.DISCOGS_TOKEN) {
+    const ps = await discogsGET(`/marketplace/price_suggestions/${id}`, out, "", {
+      optional: true,
+      what: "market price suggestions",
+    });
+    if (ps && typeof ps === "object") {
+      market.price_suggestions = {};
+      for (const [grade, p] of Object.entries(ps)) {
+        if (p && p.value != null) market.price_suggestions[grade] = { value: p.value, currency: p.currency || null };
+      }
+    }
+  } else {
+    out.diagnostics.notes.push("market: price suggestions need DISCOGS_TOKEN");
+  }
+
+  const stats = await discogsGET(`/marketplace/stats/${id}`, out, "", { optional: true, what: "market stats" });
+  if (stats) {
+    market.lowest_price = stats.lowest_price
+      ? { value: stats.lowest_price.value, currency: stats.lowest_price.currency || null }
+      : null;
+    market.num_for_sale = stats.num_for_sale ?? null;
+    market.blocked_from_sale = stats.blocked_from_sale ?? null;
+  }
+
+  // community counts ride on the release record; fetch it when the ID came from a crosswalk
+  market.community = out.discogs.release?.id === id ? out.discogs.release.community : null;
+  if (!market.community) {
+    const rel = await discogsGET(`/releases/${id}`, out, "", { optional: true, what: "market community stats" });
+    market.community = discogsCommunity(rel?.community);
+  }
+
+  out.market = { ...market, cached: false };
+  // a half-empty block (budget skip, failed call) is not worth pinning for five minutes
+  if (cache && stats && (market.price_suggestions || !BINDINGS.DISCOGS_TOKEN)) {
+    await cache.put(
+      key,
+      new Response(JSON.stringify(market), {
+        headers: { "content-type": "application/json", "cache-control": `public, max-age=${MARKET_TTL}` },
+      })
+    );
+  }
+}
+
+/* ------------------------ Pressing identifiers --------------------------- */
+
+const PRESSING_TYPES = {
+  "Barcode": "barcodes",
+  "Rights Society": "rights_society",
+  "Label Code": "label_code",
+  "Pressing Plant ID": "pressing_plant_id",
+};
+
+// "Side A", "Runout side B (stamped)", "A-side label", "Disc 2 Side C"
+function identifierSide(description) {
+  const d = String(description || "");
+  const m = d.match(/\bside\s+([A-Z]|\d{1,2})\b/i) || d.match(/\b([A-Z])[- ]side\b/i);
+  return m ? m[1].toUpperCase() : null;
+}
+
+// Discogs identifiers grouped by kind; matrix/runout etchings grouped per side
+function discogsPressing(rel, seed) {
+  const want = seed.runout ? normCatno(seed.runout) : null;
+  const p = {
+    discogs_release_id: String(rel.id),
+    sides: [],
+    barcodes: [],
+    rights_society: [],
+    label_code: [],
+    pressing_plant_id: [],
+    other: [],
+  };
+  for (const x of rel.identifiers || []) {
+    if (!x || !x.value) continue;
+    const value = String(x.value).replace(/\s+/g, " ").trim();
+    const description = x.description || null;
+    if (x.type === "Matrix / Runout") {
+      const side = identifierSide(description);
+      let group = p.sides.find(s => s.side === side);
+      if (!group) p.sides.push((group = { side, matrix: [] }));
+      const entry = { value, description };
+      if (want) entry.matches_seed = runoutMatches(value, want);
+      group.matrix.push(entry);
+    } else if (PRESSING_TYPES[x.type]) {
+      p[PRESSING_TYPES[x.type]].push({ value, description });
     } else {
-      out.canonical.title = out.canonical.title || hit.title;
+      p.other.push({ type: x.type || null, value, description });
+    }
+  }
+  // sides in label order; unlabelled etchings last
+  p.sides.sort((a, b) => (a.side === null) - (b.side === null) || String(a.side).localeCompare(String(b.side), "en", { numeric: true }));
+  return p;
+}
+
+/* ------------------------ MusicBrainz throttle --------------------------- */
+
+// MusicBrainz asks for ~1 request/s per client. Within an isolate, calls queue on a promise
+// chain; across isolates, the MB_THROTTLE Durable Object hands out send times, MB_BURST at a
+// time so a request costs a fraction of a DO call. Either way a 503 pushes the next slot back
+// by its Retry-After.
+const MB_BASE = "https://musicbrainz.org/ws/2";
+const MB_INTERVAL_MS = 1000;
+const MB_RETRY_MAX_MS = 10000;
+// Slots per DO reservation, about one enrichment's worth of MB calls
+const MB_BURST = 4;
+// A reserved slot is still usable this long after its send time (DO round trip, timer skew)
+const MB_SLOT_GRACE_MS = 250;
+
+let MB_QUEUE = Promise.resolve();
+let MB_NEXT_AT = 0;
+let MB_RESERVED = []; // local send times (epoch ms) reserved from the DO, oldest first
+let MB_RESERVING = null;
+
+function mbLocalSlot() {
+  const slot = MB_QUEUE.then(async () => {
+    const wait = MB_NEXT_AT - Date.now();
+    if (wait > 0) await sleep(wait);
+    MB_NEXT_AT = Date.now() + MB_INTERVAL_MS;
+    return Math.max(0, wait);
+  });
+  MB_QUEUE = slot.catch(() => {});
+  return slot;
+}
+
+function mbThrottleStub() {
+  const ns = BINDINGS.MB_THROTTLE;
+  return ns ? ns.get(ns.idFromName("musicbrainz")) : null;
+}
+
+// Takes the next reserved slot, reserving a burst when none is left. Slots that passed unused
+// are dropped: another isolate may already hold the next one.
+async function mbReservedSlot(stub, out) {
+  for (;;) {
+    const now = Date.now();
+    MB_RESERVED = MB_RESERVED.filter(at => at >= now - MB_SLOT_GRACE_MS);
+    if (MB_RESERVED.length) {
+      const wait = MB_RESERVED.shift() - now;
+      if (wait > 0) await sleep(wait);
+      return Math.max(0, wait);
+    }
+    MB_RESERVING ||= (async () => {
+      try {
+        const r = await stub.fetch(`https://mb-throttle/slot?n=${MB_BURST}`);
+        out.diagnostics.throttle_http.push({ url: `/slot?n=${MB_BURST}`, status: r.status });
+        const { wait_ms } = await r.json();
+        if (!Array.isArray(wait_ms) || !wait_ms.length) throw new Error(`bad slot reply (HTTP ${r.status})`);
+        const at = Date.now();
+        MB_RESERVED.push(...wait_ms.map(ms => at + ms));
+      } finally {
+        MB_RESERVING = null;
+      }
+    })();
+    await MB_RESERVING;
+  }
+}
+
+// Resolves with the milliseconds waited, once this isolate may send its next MB request
+async function mbSlot(out) {
+  const stub = mbThrottleStub();
+  if (stub) {
+    try {
+      return await mbReservedSlot(stub, out);
+    } catch (e) {
+      pushNoteOnce(out, `musicbrainz throttle unavailable, pacing locally: ${String(e)}`);
     }
   }
-  if (hit.year && !out.canonical.year) out.canonical.year = String(hit.year);
-  if (hit.thumb && !out.canonical.cover_url) out.canonical.cover_url = hit.thumb;
-  if (seed.upc) out.canonical.upc = seed.upc;
+  return mbLocalSlot();
+}
+
+async function mbBackoff(ms, out) {
+  MB_NEXT_AT = Math.max(MB_NEXT_AT, Date.now() + ms);
+  MB_RESERVED = [];
+  const stub = mbThrottleStub();
+  if (!stub) return;
+  try {
+    const r = await stub.fetch(`https://mb-throttle/backoff?ms=${ms}`);
+    out.diagnostics.throttle_http.push({ url: `/backoff?ms=${ms}`, status: r.status });
+  } catch (e) {
+    pushNoteOnce(out, `musicbrainz throttle unavailable, pacing locally: ${String(e)}`);
+  }
+}
+
+function retryAfterMs(r) {
+  const v = r.headers.get("retry-after");
+  if (!v) return MB_INTERVAL_MS;
+  const ms = /^\d+$/.test(v) ? Number(v) * 1000 : Date.parse(v) - Date.now();
+  return Math.min(Math.max(ms || 0, MB_INTERVAL_MS), MB_RETRY_MAX_MS);
+}
+
+// Every musicbrainz.org/ws/2 request goes through here: throttled, one retry on 503
+async function mbFetch(path, qs, out) {
+  const url = MB_BASE + path + (qs ? (path.includes("?") ? "&" : "?") + qs : "");
+  for (let attempt = 0; ; attempt++) {
+    const waited = await mbSlot(out);
+    const r = await fetch(url, { headers: JSON_H });
+    const entry = { url: path + (qs ? "?" + qs : "") + (attempt ? " (retry)" : ""), status: r.status };
+    if (waited > 0) entry.throttled_ms = waited;
+    out.diagnostics.mb_http.push(entry);
+    if (r.status !== 503 || attempt) return r;
+    await mbBackoff(retryAfterMs(r), out);
+  }
+}
+
+async function mbGET(path, out, qs = "") {
+  const r = await mbFetch(path, qs, out);
+  return r.ok ? r.json() : null;
+}
+
+// One instance (idFromName("musicbrainz")) serialises slots for every isolate. Its input gate
+// makes each reservation atomic, so it only does arithmetic and never sleeps itself.
+export class MusicBrainzThrottle {
+  constructor(state, env) {
+    this.state = state;
+    this.nextAt = 0;
+  }
+
+  async fetch(req) {
+    const url = new URL(req.url);
+    const now = Date.now();
+    if (url.pathname === "/backoff") {
+      const ms = clampInt(url.searchParams.get("ms"), 0, MB_RETRY_MAX_MS, MB_INTERVAL_MS);
+      this.nextAt = Math.max(this.nextAt, now + ms);
+      return new Response(null, { status: 204 });
+    }
+    // /slot?n=N reserves N consecutive slots and answers { wait_ms: [ms until each] }
+    const waits = [];
+    for (let n = clampInt(url.searchParams.get("n"), 1, MB_BURST, 1); n > 0; n--) {
+      const at = Math.max(now, this.nextAt);
+      this.nextAt = at + MB_INTERVAL_MS;
+      waits.push(at - now);
+    }
+    return new Response(JSON.stringify({ wait_ms: waits }), { headers: { "content-type": "application/json" } });
+  }
 }
 
 /* ------------------------ MusicBrainz --------------------------- */
@@ -303,28 +1644,93 @@ async function resolveDiscogsByUPC(seed, out) {
 async function resolveMusicBrainz(seed, out) {
   // 3a) if we have UPC, use search endpoint to find releases
   let mbRel = null;
+  let how = null; // how mbRel was reached, for canonical confidence
+
+  // 3a0) a Discogs release/master seed may already be linked from an MB release (exact, beats barcode)
+  if ((seed.discogs || seed.discogs_master_id) && out.ids.discogs_release_id?.id) {
+    mbRel = await mbReleaseByDiscogsUrl(`https://www.discogs.com/release/${out.ids.discogs_release_id.id}`, out);
+    if (mbRel) {
+      how = "id";
+      out.diagnostics.matched_on = out.diagnostics.matched_on || "discogs_release";
+    }
+  }
 
-  if (seed.upc) {
+  if (!mbRel && seed.upc) {
     // Two passes: 13-digit then 12 if applicable
     const barcodes = dedupe(out.diagnostics.tried_barcodes.filter(Boolean));
     for (const bc of barcodes) {
       const q = new URLSearchParams({ query: `barcode:${bc}`, fmt: "json" }).toString();
-      const search = await GETjson("https://musicbrainz.org/ws/2", "/release/", out.diagnostics.mb_http, q);
+      const search = await mbGET("/release/", out, q);
       if (search && search.releases && search.releases.length) {
-        // Pick the first high-score
-        mbRel = search.releases[0];
-        out.diagnostics.matched_on = "upc";
+        // one barcode often covers CD, digital and vinyl releases: rank, don't take the first
+        mbRel = rankMBReleases(search.releases, `barcode:${bc}`, out)[0].release;
+        how = "barcode";
+        out.diagnostics.matched_on = out.diagnostics.matched_on || "upc";
         break;
       }
     }
   }
 
-  // 3b) or direct MBIDs provided
+  // 3b) or direct MBIDs provided; a bare mbid may be a release, release-group or artist
+  let full = null;
   if (!mbRel && seed.mbid) {
-    mbRel = await hydrateMBRelease(seed.mbid, out);
+    const ref = parseMBRef(seed.mbid);
+    if (!ref) {
+      out.diagnostics.notes.push(`mbid not understood: ${seed.mbid}`);
+    } else if (ref.type === "release-group") {
+      seed.mb_release_group = seed.mb_release_group || ref.id;
+    } else if (ref.type === "artist") {
+      seed.mb_artist_id = seed.mb_artist_id || ref.id;
+    } else {
+      // untyped: try release first (also the hydration), then release-group, then artist
+      full = await hydrateMBRelease(ref.id, out, !ref.type);
+      if (full) {
+        mbRel = full;
+        how = "id";
+        out.diagnostics.matched_on = out.diagnostics.matched_on || "mbid:release";
+      } else if (!ref.type) {
+        const type = await detectMBEntityType(ref.id, ["release-group", "artist"], out);
+        if (type === "release-group") seed.mb_release_group = seed.mb_release_group || ref.id;
+        else if (type === "artist") seed.mb_artist_id = seed.mb_artist_id || ref.id;
+        else out.diagnostics.notes.push(`mbid ${ref.id} is not a release, release-group or artist`);
+      }
+    }
   }
   if (!mbRel && seed.mb_release_mbid) {
-    mbRel = await hydrateMBRelease(seed.mb_release_mbid, out);
+    full = await hydrateMBRelease(seed.mb_release_mbid, out);
+    mbRel = full;
+    how = "id";
+  }
+
+  // Discogs masters are linked from MB release-groups (the hydrated release carries its own otherwise)
+  if (!mbRel && !out.ids.mb_release_group && seed.discogs_master_id && out.ids.discogs_master_id?.id) {
+    const rg = await mbReleaseGroupByDiscogsUrl(`https://www.discogs.com/master/${out.ids.discogs_master_id.id}`, out);
+    if (rg) {
+      out.ids.mb_release_group = { id: rg.id, url: `https://musicbrainz.org/release-group/${rg.id}` };
+    }
+  }
+
+  // 3b') release-group: pick a representative release (vinyl first, then earliest)
+  const rgId = seed.mb_release_group || out.ids.mb_release_group?.id;
+  if (!mbRel && rgId) {
+    mbRel = await pickReleaseForGroup(rgId, out);
+    how = "master";
+    if (mbRel) out.diagnostics.matched_on = out.diagnostics.matched_on || "mb_release_group";
+  }
+
+  // 3b'') artist MBID: artist-level enrichment, and a name for the artist+title fallback
+  if (seed.mb_artist_id) {
+    const a = await resolveMBArtist(seed.mb_artist_id, out);
+    if (a && !mbRel && !(seed.title || out.canonical.title)) {
+      out.diagnostics.matched_on = out.diagnostics.matched_on || "mb_artist";
+    }
+  }
+
+  // 3b''') label + catalog number
+  if (!mbRel && seed.catno) {
+    mbRel = await searchMBByCatno(seed, out);
+    how = "catno";
+    if (mbRel) out.diagnostics.matched_on = out.diagnostics.matched_on || "catno";
   }
 
   // 3c) artist+title fallback
@@ -332,9 +1738,10 @@ async function resolveMusicBrainz(seed, out) {
     const artist = seed.artist || out.canonical.artist;
     const title = seed.title || out.canonical.title;
     const q = new URLSearchParams({ query: `${title} AND artist:${artist}`, fmt: "json" }).toString();
-    const search = await GETjson("https://musicbrainz.org/ws/2", "/release/", out.diagnostics.mb_http, q);
+    const search = await mbGET("/release/", out, q);
     if (search && search.releases && search.releases.length) {
-      mbRel = search.releases[0];
+      mbRel = rankMBReleases(search.releases, "artist+title", out)[0].release;
+      how = "search";
       out.diagnostics.matched_on = "artist+title";
     }
   }
@@ -342,7 +1749,7 @@ async function resolveMusicBrainz(seed, out) {
   if (!mbRel) return;
 
   // hydrate detailed release data
-  const full = await hydrateMBRelease(mbRel.id, out);
+  if (!full || full.id !== mbRel.id) full = await hydrateMBRelease(mbRel.id, out);
   if (!full) return;
 
   // set IDs
@@ -364,22 +1771,32 @@ async function resolveMusicBrainz(seed, out) {
     }
   }
 
+  // free-text annotation often carries matrix/runout notes the structured data lacks
+  out.pressing.mb_release_mbid = full.id;
+  out.pressing.mb_annotation = full.annotation || null;
+  out.tracklist = mbTracklist(full);
+  out.personnel = mbPersonnel(full);
+
   // canonical fields from MB
-  if (!out.canonical.title) out.canonical.title = full.title || null;
-  if (!out.canonical.artist && full["artist-credit"] && full["artist-credit"].length) {
-    out.canonical.artist = full["artist-credit"].map(ac => ac.name).join(" & ");
+  const from = origin("musicbrainz", full.id, how);
+  offerCanonical(out, "title", full.title, from);
+  if (full["artist-credit"] && full["artist-credit"].length) {
+    offerCanonical(out, "artist", full["artist-credit"].map(ac => ac.name).join(" & "), from);
   }
-  if (full.country && !out.canonical.country) out.canonical.country = full.country;
-  if (full.date && !out.canonical.year) out.canonical.year = String(full.date).slice(0, 4);
+  offerCanonical(out, "country", full.country, from);
+  if (full.date) offerCanonical(out, "year", String(full.date).slice(0, 4), from);
   if (full["label-info"] && full["label-info"].length) {
     const li = full["label-info"][0];
-    if (li && li.label && li.label.name && !out.canonical.label) out.canonical.label = li.label.name;
-    if (li && li.catalog_number && !out.canonical.catalog_number) out.canonical.catalog_number = li.catalog_number;
+    offerCanonical(out, "label", li?.label?.name, from);
+    offerCanonical(out, "catalog_number", li?.["catalog-number"], from);
   }
+  offerCanonical(out, "upc", normalizeBarcode(full.barcode), from);
+  const trackCount = (full.media || []).reduce((n, m) => n + (m["track-count"] || 0), 0);
+  if (trackCount) offerCanonical(out, "track_count", trackCount, from);
+  offerCanonical(out, "format", mbFormat(full.media), from);
   // tags -> genre
   if (full.tags && full.tags.length) {
-    const g = full.tags.map(t => titleCase(t.name));
-    out.canonical.genre = dedupe(out.canonical.genre.concat(g));
+    offerCanonicalList(out, "genre", full.tags.map(t => titleCase(t.name)), from);
   }
 
   // url-rels -> try Discogs + Wikidata + enwiki links
@@ -406,29 +1823,423 @@ async function resolveMusicBrainz(seed, out) {
     }
   }
 
-  // Also hydrate release-group + artist to improve cache hits (no parsing needed here)
-  if (out.ids.mb_release_group?.id) {
-    await GETjson(
-      "https://musicbrainz.org/ws/2",
-      `/release-group/${out.ids.mb_release_group.id}`,
-      out.diagnostics.mb_http,
-      "fmt=json"
-    );
+  // Release group: original release date and album/EP/live/compilation typing.
+  // The release's embedded group is the fallback when the lookup fails.
+  if (out.ids.mb_release_group?.id) {
+    const rg = await mbGET(`/release-group/${out.ids.mb_release_group.id}`, out, "fmt=json");
+    const group = rg?.id ? rg : full["release-group"];
+    if (group?.id) out.release_group = mbReleaseGroupInfo(group);
+    const first = out.release_group?.first_release_date;
+    if (first) {
+      offerCanonical(out, "original_year", first.slice(0, 4), origin("musicbrainz", `release-group/${group.id}`, how));
+    }
+  }
+  // Credited artist profile, unless an artist seed already supplied one
+  if (out.ids.mb_artist_id?.id && !out.artist.mb_artist_id) {
+    const a = await mbGET(
+      `/artist/${out.ids.mb_artist_id.id}`,
+      out,
+      new URLSearchParams({ inc: "aliases+genres+artist-rels", fmt: "json" }).toString()
+    );
+    if (a?.id) out.artist = mbArtistProfile(a);
+  }
+}
+
+function mbReleaseGroupInfo(rg) {
+  return {
+    mb_release_group_id: rg.id,
+    title: rg.title || null,
+    first_release_date: rg["first-release-date"] || null,
+    primary_type: rg["primary-type"] || null,
+    secondary_types: rg["secondary-types"] || [],
+    disambiguation: rg.disambiguation || null,
+  };
+}
+
+async function searchMBByCatno(seed, out) {
+  const esc = v => String(v).replace(/(["\\])/g, "\\$1");
+  let query = `catno:"${esc(seed.catno)}"`;
+  if (seed.label) query += ` AND label:"${esc(seed.label)}"`;
+  const q = new URLSearchParams({ query, limit: "25", fmt: "json" }).toString();
+  const search = await mbGET("/release/", out, q);
+  const ranked = rankCatnoHits(search?.releases || [], seed, r => {
+    const li = r["label-info"] || [];
+    const exact = li.find(x => normCatno(x["catalog-number"]) === normCatno(seed.catno));
+    return {
+      catno: (exact || li[0] || {})["catalog-number"],
+      labels: li.map(x => x.label?.name).filter(Boolean),
+      title: `${(r["artist-credit"] || []).map(ac => ac.name).join(" ")} ${r.title || ""}`,
+      score: r.score,
+    };
+  });
+  if (!ranked.length) return null;
+  const catnoRank = new Map(ranked.map(r => [r.hit.id, r.rank]));
+  const best = rankMBReleases(ranked.map(r => r.hit), `catno:${seed.catno}`, out, r => [
+    catnoRank.get(r.id),
+    `label/catno match +${catnoRank.get(r.id)}`,
+  ]);
+  return best[0].release;
+}
+
+// MB url entity lookup: which releases link to this external URL
+async function mbReleaseByDiscogsUrl(resource, out) {
+  const q = new URLSearchParams({ resource, inc: "release-rels", fmt: "json" }).toString();
+  const data = await mbGET("/url", out, q);
+  const rel = (data?.relations || []).find(r => r.release?.id);
+  return rel ? rel.release : null;
+}
+
+async function mbReleaseGroupByDiscogsUrl(resource, out) {
+  const q = new URLSearchParams({ resource, inc: "release-group-rels", fmt: "json" }).toString();
+  const data = await mbGET("/url", out, q);
+  const rel = (data?.relations || []).find(r => r["release-group"]?.id);
+  return rel ? rel["release-group"] : null;
+}
+
+// Accepts a bare MBID or a musicbrainz.org/<type>/<mbid> URL (which pins the type)
+function parseMBRef(v) {
+  const s = String(v || "").trim().toLowerCase();
+  const m = s.match(/(?:(release-group|release|artist)\/)?([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/);
+  return m ? { id: m[2], type: m[1] || null } : null;
+}
+
+async function detectMBEntityType(id, types, out) {
+  for (const type of types) {
+    const data = await mbGET(`/${type}/${id}`, out, "fmt=json");
+    if (data && data.id) return type;
+  }
+  return null;
+}
+
+// Empty dates sort last; MB dates are YYYY[-MM[-DD]] so string order is chronological
+function compareDates(a, b) {
+  if (!a) return b ? 1 : 0;
+  if (!b) return -1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+async function pickReleaseForGroup(rgId, out) {
+  const q = new URLSearchParams({ "release-group": rgId, inc: "media+label-info", limit: "100", fmt: "json" }).toString();
+  const data = await mbGET("/release", out, q);
+  const releases = data?.releases || [];
+  if (!releases.length) {
+    out.diagnostics.notes.push(`musicbrainz release-group ${rgId} has no releases or lookup failed`);
+    return null;
+  }
+  out.ids.mb_release_group = { id: rgId, url: `https://musicbrainz.org/release-group/${rgId}` };
+  // ties (e.g. several vinyl pressings) fall to the earliest date
+  return rankMBReleases(releases, `release-group:${rgId}`, out)[0].release;
+}
+
+/* ------------------------ Release ranking --------------------------- */
+
+// Normalized view of a candidate release for scoring, from either source
+function mbRankView(r) {
+  return {
+    formats: (r.media || []).map(m => m.format).filter(Boolean),
+    barcodes: r.barcode ? [r.barcode] : [],
+    country: r.country || null,
+    date: r.date || null,
+    score: typeof r.score === "number" ? r.score : null,
+    official: r.status ? r.status === "Official" : null,
+  };
+}
+
+function discogsRankView(h) {
+  return {
+    formats: h.format || [],
+    barcodes: (h.barcode || []).filter(b => /^[\d\s-]{8,}$/.test(b)),
+    country: h.country || null,
+    date: h.year ? String(h.year) : null,
+    score: null,
+    official: null,
+  };
+}
+
+function formatPoints(formats, prefer) {
+  const all = formats.join(" | ");
+  if (!formats.length) return [0, "format unknown"];
+  if (prefer) {
+    const want = prefer === "12" || prefer === "10" || prefer === "7" ? `${prefer}"` : prefer;
+    if (all.toLowerCase().includes(want.toLowerCase())) return [30, `format ${all} matches prefer_format=${prefer}`];
+    return [0, `format ${all} does not match prefer_format=${prefer}`];
+  }
+  if (/12"/.test(all)) return [30, `12" vinyl (${all})`];
+  if (/10"/.test(all)) return [28, `10" vinyl (${all})`];
+  if (/7"/.test(all)) return [26, `7" vinyl (${all})`];
+  if (/vinyl|lp\b/i.test(all)) return [25, `vinyl (${all})`];
+  return [0, `non-vinyl (${all})`];
+}
+
+// Score candidates: medium format, exact barcode, country/date hints, source score.
+// extra(item) -> [points, reason] adds a caller-specific component (e.g. catno match).
+function rankReleases(items, view, out, extra) {
+  const { prefer_format, country, year } = out.flags || {};
+  const want = new Set((out.diagnostics.tried_barcodes || []).map(b => b.replace(/^0+/, "")));
+  const ranked = items.map(item => {
+    const v = view(item);
+    const reasons = [];
+    let score = 0;
+    const add = (pts, why) => {
+      if (!pts) return;
+      score += pts;
+      reasons.push(`${pts > 0 ? "+" : ""}${Math.round(pts * 10) / 10} ${why}`);
+    };
+
+    const [fp, fwhy] = formatPoints(v.formats, prefer_format);
+    add(fp, fwhy);
+    if (want.size && v.barcodes.some(b => want.has(String(b).replace(/\D+/g, "").replace(/^0+/, "")))) {
+      add(25, "exact barcode");
+    }
+    if (country && v.country) add(v.country.toUpperCase() === country ? 10 : 0, `country ${v.country}`);
+    if (year && v.date) {
+      const diff = Math.abs(parseInt(v.date.slice(0, 4), 10) - parseInt(year, 10));
+      if (Number.isFinite(diff)) add(Math.max(0, 10 - 2 * diff), `date ${v.date} vs year=${year}`);
+    }
+    if (v.score !== null) add(v.score / 10, `search score ${v.score}`);
+    if (v.official) add(5, "official");
+    if (extra) add(...extra(item));
+    return { item, score: Math.round(score * 10) / 10, reasons, date: v.date };
+  });
+  return ranked.sort((a, b) => b.score - a.score || compareDates(a.date, b.date));
+}
+
+function rankMBReleases(releases, context, out, extra) {
+  const ranked = rankReleases(releases, mbRankView, out, extra).map(r => ({ ...r, release: r.item }));
+  recordRanking(out, context, ranked, r => r.release.id);
+  return ranked;
+}
+
+function recordRanking(out, context, ranked, idOf) {
+  out.diagnostics.ranking.push({
+    context,
+    picked: ranked.length ? idOf(ranked[0]) : null,
+    candidates: ranked.slice(0, 5).map(r => ({ id: idOf(r), score: r.score, reasons: r.reasons })),
+    total: ranked.length,
+  });
+}
+
+function mbArtistProfile(a) {
+  return {
+    mb_artist_id: a.id,
+    name: a.name || null,
+    sort_name: a["sort-name"] || null,
+    type: a.type || null,
+    disambiguation: a.disambiguation || null,
+    country: a.country || null,
+    area: a.area?.name || null,
+    begin_area: a["begin-area"]?.name || null,
+    life_span: a["life-span"]
+      ? { begin: a["life-span"].begin || null, end: a["life-span"].end || null, ended: Boolean(a["life-span"].ended) }
+      : null,
+    aliases: (a.aliases || []).map(al => ({
+      name: al.name,
+      sort_name: al["sort-name"] || null,
+      type: al.type || null,
+      locale: al.locale || null,
+      primary: Boolean(al.primary),
+    })),
+    genres: (a.genres || a.tags || []).map(t => titleCase(t.name)),
+    members: mbArtistMembers(a),
+    related: mbRelatedArtists(a),
+  };
+}
+
+// "member of band" attributes that describe the membership rather than an instrument
+const MB_MEMBER_QUALIFIERS = ["original", "founder", "additional", "guest", "minor"];
+
+// "member of band" relations pointing back at this artist are the band's members
+function mbArtistMembers(a) {
+  const members = [];
+  for (const rel of a.relations || []) {
+    if (rel.type !== "member of band" || rel.direction !== "backward" || !rel.artist) continue;
+    members.push({
+      name: rel.artist.name,
+      mb_artist_id: rel.artist.id,
+      wikidata_qid: null,
+      begin: rel.begin || null,
+      end: rel.end || null,
+      ended: Boolean(rel.ended),
+      instruments: (rel.attributes || []).filter(x => !MB_MEMBER_QUALIFIERS.includes(x)),
+      attributes: rel.attributes || [],
+      sources: ["musicbrainz"],
+    });
+  }
+  return members;
+}
+
+// Artist-artist relation type + direction -> how the other artist relates to this one
+const MB_RELATED_TYPES = {
+  "collaboration:forward": "collaboration", // this artist took part in the target project
+  "collaboration:backward": "collaborator",
+  "is person:forward": "is person", // this artist is a performance name of the target
+  "is person:backward": "performs as",
+  "member of band:forward": "member of",
+  "subgroup:forward": "subgroup of",
+  "subgroup:backward": "subgroup",
+};
+
+function mbRelatedArtists(a) {
+  const related = [];
+  for (const rel of a.relations || []) {
+    const relation = MB_RELATED_TYPES[`${rel.type}:${rel.direction}`];
+    if (!relation || !rel.artist) continue;
+    related.push({
+      name: rel.artist.name,
+      mb_artist_id: rel.artist.id,
+      wikidata_qid: null,
+      relation,
+      begin: rel.begin || null,
+      end: rel.end || null,
+      sources: ["musicbrainz"],
+    });
+  }
+  return related;
+}
+
+async function resolveMBArtist(mbArtistId, out) {
+  const ref = parseMBRef(mbArtistId);
+  if (!ref) {
+    out.diagnostics.notes.push(`mb_artist_id not understood: ${mbArtistId}`);
+    return null;
+  }
+  const a = await mbGET(
+    `/artist/${ref.id}`,
+    out,
+    new URLSearchParams({ fmt: "json", inc: "aliases+url-rels+artist-rels+genres" }).toString()
+  );
+  if (!a || !a.id) {
+    out.diagnostics.notes.push(`musicbrainz artist ${ref.id} not found`);
+    return null;
+  }
+  out.ids.mb_artist_id = { id: a.id, url: `https://musicbrainz.org/artist/${a.id}` };
+  out.artist = mbArtistProfile(a);
+  if (out.canonical) offerCanonical(out, "artist", a.name, origin("musicbrainz", `artist/${a.id}`, "id"));
+
+  // artist url-rels: Wikidata Q-id for P18 images and the artist gallery
+  for (const rel of a.relations || []) {
+    const u = rel.url?.resource || "";
+    if (u.includes("wikidata.org/wiki/Q") && !out.ids.artist_wikidata_qid) {
+      const qid = parseQid(u);
+      if (qid) out.ids.artist_wikidata_qid = { id: qid, url: `https://www.wikidata.org/wiki/${qid}` };
+    }
   }
-  if (out.ids.mb_artist_id?.id) {
-    await GETjson("https://musicbrainz.org/ws/2", `/artist/${out.ids.mb_artist_id.id}`, out.diagnostics.mb_http, "fmt=json");
+  return a;
+}
+
+// Artist credit as printed: names with their join phrases ("A feat. B")
+function mbCreditName(credits) {
+  return (credits || []).map(c => (c.name || c.artist?.name || "") + (c.joinphrase || "")).join("").trim() || null;
+}
+
+function fmtLength(ms) {
+  if (!ms) return null;
+  const s = Math.round(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+// Per-medium tracklist from a release hydrated with recordings+isrcs. Vinyl tracks are numbered
+// by side ("A1", "B2"); CDs and digital media number from 1 and have no side.
+function mbTracklist(full) {
+  const media = (full.media || []).filter(m => Array.isArray(m.tracks));
+  if (!media.length) return null;
+  return {
+    source: "musicbrainz",
+    mb_release_mbid: full.id,
+    media: media.map(m => ({
+      position: m.position ?? null,
+      format: m.format || null,
+      title: m.title || null,
+      track_count: m["track-count"] ?? m.tracks.length,
+      tracks: m.tracks.map(t => {
+        const number = t.number || String(t.position ?? "");
+        const side = number.match(/^([A-Z]{1,2})\d*$/i);
+        const rec = t.recording || {};
+        return {
+          position: number || null,
+          side: side ? side[1].toUpperCase() : null,
+          title: t.title || rec.title || null,
+          artist: mbCreditName(t["artist-credit"] || rec["artist-credit"]),
+          length: fmtLength(t.length ?? rec.length),
+          length_ms: t.length ?? rec.length ?? null,
+          recording_mbid: rec.id || null,
+          isrcs: rec.isrcs || [],
+        };
+      }),
+    })),
+  };
+}
+
+// MB artist relationship types -> personnel roles; unlisted types pass through as named
+const MB_CREDIT_ROLES = {
+  producer: "producer",
+  engineer: "engineer",
+  audio: "engineer",
+  sound: "engineer",
+  recording: "recording engineer",
+  mix: "mixing",
+  mastering: "mastering",
+  instrument: "instrument",
+  vocal: "vocals",
+  "performing orchestra": "orchestra",
+  "instrument arranger": "arranger",
+  "vocal arranger": "arranger",
+};
+
+// Relationship attributes that qualify a credit rather than name an instrument or voice
+const MB_CREDIT_QUALIFIERS = ["additional", "assistant", "associate", "co", "executive", "guest", "solo"];
+
+// Release-level and recording-level artist credits. One entry per person and role; `tracks`
+// lists the track positions a recording-level credit covers (null: the whole release).
+function mbPersonnel(full) {
+  const byKey = new Map();
+  const add = (rel, track) => {
+    if (rel["target-type"] !== "artist" || !rel.artist?.id) return;
+    const attrs = rel.attributes || [];
+    const role = MB_CREDIT_ROLES[rel.type] || rel.type;
+    const instrument =
+      rel.type === "instrument" || rel.type === "vocal"
+        ? attrs.filter(a => !MB_CREDIT_QUALIFIERS.includes(a)).join(", ") || null
+        : null;
+    const key = [rel.artist.id, role, instrument].join("|");
+    let p = byKey.get(key);
+    if (!p) {
+      p = {
+        name: rel.artist.name,
+        credited_as: rel["target-credit"] || null,
+        mb_artist_id: rel.artist.id,
+        role,
+        instrument,
+        attributes: attrs.filter(a => MB_CREDIT_QUALIFIERS.includes(a)),
+        tracks: [],
+      };
+      byKey.set(key, p);
+    }
+    if (!track) p.tracks = null;
+    else if (p.tracks && !p.tracks.includes(track)) p.tracks.push(track);
+  };
+
+  for (const rel of full.relations || []) add(rel, null);
+  for (const m of full.media || []) {
+    for (const t of m.tracks || []) {
+      const pos = t.number || String(t.position ?? "");
+      // on multi-disc CDs "1" repeats per disc: qualify with the medium
+      const track = /^\d+$/.test(pos) && (full.media || []).length > 1 ? `${m.position}-${pos}` : pos;
+      for (const rel of t.recording?.relations || []) add(rel, track);
+    }
   }
+  return [...byKey.values()];
 }
 
-async function hydrateMBRelease(id, out) {
+async function hydrateMBRelease(id, out, quiet = false) {
   const qs = new URLSearchParams({
     fmt: "json",
-    inc: "url-rels+tags+artist-credits+label-info+release-group",
+    inc: "url-rels+tags+artist-credits+label-info+release-group+media+annotation+recordings+isrcs+artist-rels+recording-level-rels",
   }).toString();
   try {
-    const r = await fetch(`https://musicbrainz.org/ws/2/release/${id}?${qs}`, { headers: JSON_H });
-    out.diagnostics.mb_http.push({ url: `/release/${id}`, status: r.status });
+    const r = await mbFetch(`/release/${id}`, qs, out);
     if (!r.ok) {
+      if (quiet && r.status === 404) return null;
       out.diagnostics.notes.push(`musicbrainz release detail failed with status ${r.status}`);
       return null;
     }
@@ -455,11 +2266,19 @@ async function resolveWikidataAndWikipedia(seed, out) {
         out.ids.wikidata_qid = { id: q, url: `https://www.wikidata.org/wiki/${q}` };
       }
     }
+    // Discogs master (P1954) when MB had no release-group link
+    if (!out.ids.wikidata_qid && out.ids.discogs_master_id?.id) {
+      const q = await sparqlFirstQIDForDiscogsMaster(out.ids.discogs_master_id.id, out);
+      if (q) {
+        out.ids.wikidata_qid = { id: q, url: `https://www.wikidata.org/wiki/${q}` };
+      }
+    }
     // Fallback by title+artist
     if (!out.ids.wikidata_qid && out.canonical.title && out.canonical.artist) {
       const q = await sparqlFirstQIDByTitleArtist(out.canonical.title, out.canonical.artist, out);
       if (q) {
         out.ids.wikidata_qid = { id: q, url: `https://www.wikidata.org/wiki/${q}` };
+        WD_QID_BY_SEARCH.add(out);
       }
     }
   }
@@ -494,9 +2313,208 @@ async function resolveWikidataAndWikipedia(seed, out) {
   }
 }
 
-async function fetchWikidataEntity(qid, out) {
-  const data = await GETjson("https://www.wikidata.org/wiki/Special:EntityData", `/${qid}.json`, out.diagnostics.wd_http, "");
-  return data?.entities?.[qid] || null;
+// Entities are read by several stages; fetch each at most once per request
+const WD_ENTITY_MEMO = new WeakMap();
+
+function fetchWikidataEntity(qid, out) {
+  let memo = WD_ENTITY_MEMO.get(out);
+  if (!memo) WD_ENTITY_MEMO.set(out, (memo = new Map()));
+  if (!memo.has(qid)) {
+    memo.set(
+      qid,
+      GETjson("https://www.wikidata.org/wiki/Special:EntityData", `/${qid}.json`, out.diagnostics.wd_http, "").then(
+        data => data?.entities?.[qid] || null
+      )
+    );
+  }
+  return memo.get(qid);
+}
+
+// Requests whose album Q-id came from a label search rather than an identifier link
+const WD_QID_BY_SEARCH = new WeakSet();
+
+async function offerWikidataCanonical(out) {
+  const qid = out.ids.wikidata_qid?.id;
+  if (!qid) return;
+  const entity = await fetchWikidataEntity(qid, out);
+  if (!entity) return;
+  const from = origin("wikidata", qid, WD_QID_BY_SEARCH.has(out) ? "search" : "id");
+  // Discogs, MB and enwiki titles are not localized: compare the original title (P1476) or the
+  // English label, never the lang= label, which stays in the wikidata block
+  const original = (entity.claims?.P1476 || []).map(st => st.mainsnak?.datavalue?.value?.text).find(Boolean);
+  offerCanonical(out, "title", original || entity.labels?.en?.value, from);
+  const published = pickClaimTime(entity, "P577");
+  // the album item is the work, so its publication date is the original year, not this pressing's
+  if (published) offerCanonical(out, "original_year", published.slice(0, 4), from);
+
+  // Record label (P264) and performers (P175) by their English labels, in one lookup
+  const idsOf = prop => (entity.claims?.[prop] || []).map(st => st.mainsnak?.datavalue?.value?.id).filter(Boolean);
+  const labelIds = idsOf("P264");
+  const performerIds = idsOf("P175");
+  if (!labelIds.length && !performerIds.length) return;
+  const terms = await fetchWikidataTerms([...labelIds.slice(0, 1), ...performerIds], "en", out);
+  const en = qid => terms.get(qid)?.label;
+  if (labelIds.length) offerCanonical(out, "label", en(labelIds[0]), from);
+  const performers = performerIds.map(en);
+  if (performers.length && performers.every(Boolean)) offerCanonical(out, "artist", performers.join(" & "), from);
+}
+
+// Album claims surfaced in out.wikidata.claims, with readable property names
+const WD_ALBUM_CLAIMS = {
+  P136: "genre",
+  P264: "record label",
+  P162: "producer",
+  P577: "publication date",
+  P483: "recorded at",
+  P2047: "duration",
+  P7937: "form of creative work",
+  P155: "follows",
+  P156: "followed by",
+  P166: "award received",
+};
+
+// Wikidata quantities carry their unit as an entity URI; durations come in seconds or minutes
+const WD_SECONDS_PER_UNIT = { Q11574: 1, Q7727: 60, Q25235: 3600 };
+
+async function buildWikidataBlock(out) {
+  const qid = out.ids.wikidata_qid?.id;
+  if (!qid) return;
+  const entity = await fetchWikidataEntity(qid, out);
+  if (!entity) return;
+  const lang = out.flags.lang;
+  const inLang = m => m?.[lang]?.value ?? m?.en?.value ?? null;
+
+  out.wikidata.entity = {
+    id: entity.id,
+    label: inLang(entity.labels),
+    description: inLang(entity.descriptions),
+    aliases: (entity.aliases?.[lang] || entity.aliases?.en || []).map(a => a.value),
+    modified: entity.modified || null,
+  };
+  out.wikidata.sitelinks = {};
+  for (const [site, sl] of Object.entries(entity.sitelinks || {})) {
+    out.wikidata.sitelinks[site] = { title: sl.title, url: sl.url || null };
+  }
+
+  const claims = {};
+  for (const [prop, property] of Object.entries(WD_ALBUM_CLAIMS)) {
+    const values = [];
+    for (const st of entity.claims?.[prop] || []) {
+      if (st.rank === "deprecated") continue;
+      const v = wdClaimValue(st);
+      if (v) values.push(v);
+    }
+    if (values.length) claims[prop] = { property, values };
+  }
+  out.wikidata.claims = claims;
+
+  out.wikidata.images_from_p18 = (entity.claims?.P18 || [])
+    .map(st => st.mainsnak?.datavalue?.value)
+    .filter(f => typeof f === "string")
+    .map(file => ({ file, url: `https://commons.wikimedia.org/wiki/Special:FilePath/${encodeURIComponent(file)}` }));
+  // item values, units and countries stay bare Q-ids here; labelWikidataIds names them
+}
+
+// One statement -> { id } for items (awards keep their date), { time, country } for release dates,
+// { amount, unit } for quantities
+function wdClaimValue(st) {
+  const dv = st.mainsnak?.datavalue;
+  if (!dv) return null;
+  if (dv.type === "wikibase-entityid" && dv.value?.id) {
+    const v = { id: dv.value.id, label: null };
+    const when = wdTime(st.qualifiers?.P585?.[0]?.datavalue?.value);
+    if (when) v.date = when;
+    return v;
+  }
+  if (dv.type === "time") {
+    const time = wdTime(dv.value);
+    const country = st.qualifiers?.P291?.[0]?.datavalue?.value?.id;
+    return time ? { time, country: country || null } : null;
+  }
+  if (dv.type === "quantity") {
+    const amount = Number(dv.value.amount);
+    const unit = (dv.value.unit || "").split("/").pop();
+    const v = { amount, unit: /^Q\d+$/.test(unit) ? unit : null };
+    if (WD_SECONDS_PER_UNIT[unit]) v.seconds = amount * WD_SECONDS_PER_UNIT[unit];
+    return v;
+  }
+  return null;
+}
+
+function parseQid(v) {
+  const m = String(v || "").trim().match(/(?:^|[\/:])(Q\d+)$/i);
+  return m ? m[1].toUpperCase() : null;
+}
+
+async function resolveWikidataSeed(seed, out) {
+  const qid = parseQid(seed.qid);
+  if (!qid) {
+    out.diagnostics.notes.push(`wikidata seed not understood: ${seed.qid}`);
+    return;
+  }
+  const entity = await fetchWikidataEntity(qid, out);
+  if (!entity) {
+    out.diagnostics.notes.push(`wikidata entity ${qid} not found`);
+    return;
+  }
+  out.diagnostics.matched_on = out.diagnostics.matched_on || "qid";
+  out.ids.wikidata_qid = { id: qid, url: `https://www.wikidata.org/wiki/${qid}` };
+
+  // P436 MusicBrainz release group
+  const rg = pickClaimString(entity, "P436");
+  if (rg) {
+    out.ids.mb_release_group = { id: rg, url: `https://musicbrainz.org/release-group/${rg}` };
+    if (!seed.mb_release_group) seed.mb_release_group = rg;
+  }
+  // P1954 Discogs master
+  const master = pickClaimString(entity, "P1954");
+  if (master) {
+    out.ids.discogs_master_id = { id: master, url: `https://www.discogs.com/master/${master}` };
+    if (!seed.discogs_master_id) seed.discogs_master_id = master;
+  }
+  // P175 performer
+  const performer = pickClaimId(entity, "P175");
+  if (performer) {
+    out.ids.artist_wikidata_qid = { id: performer, url: `https://www.wikidata.org/wiki/${performer}` };
+  }
+  const enTitle = entity.sitelinks?.enwiki?.title;
+  if (enTitle) {
+    out.ids.wikipedia_title = { id: enTitle, url: `https://en.wikipedia.org/wiki/${encodeURIComponent(enTitle)}` };
+  }
+
+  // label is a title hint for the artist+title fallback
+  const label = entity.labels?.[out.flags.lang]?.value || entity.labels?.en?.value;
+  if (label && !seed.title) seed.title = label;
+}
+
+function pickClaimString(entity, prop) {
+  const c = entity?.claims?.[prop];
+  if (!c || !c.length) return null;
+  for (const sn of c) {
+    const v = sn?.mainsnak?.datavalue?.value;
+    if (typeof v === "string" && v) return v;
+  }
+  return null;
+}
+
+function pickClaimTime(entity, prop) {
+  const c = entity?.claims?.[prop];
+  if (!c || !c.length) return null;
+  for (const sn of c) {
+    const t = wdTime(sn?.mainsnak?.datavalue?.value);
+    if (t) return t;
+  }
+  return null;
+}
+
+// Wikidata times look like "+1959-08-17T00:00:00Z"; keep the year (and month/day when precise)
+function wdTime(v) {
+  if (!v?.time) return null;
+  const m = v.time.match(/^[+-]?(\d{4,})-(\d{2})-(\d{2})/);
+  if (!m) return null;
+  if (v.precision >= 11) return `${m[1]}-${m[2]}-${m[3]}`;
+  if (v.precision === 10) return `${m[1]}-${m[2]}`;
+  return m[1];
 }
 
 function pickClaimId(entity, prop) {
@@ -533,6 +2551,29 @@ SELECT ?item WHERE {
   return b.split("/").pop();
 }
 
+async function sparqlFirstQIDForDiscogsMaster(masterId, out) {
+  const endpoint = "https://query.wikidata.org/sparql";
+  const body = `
+SELECT ?item WHERE {
+  ?item wdt:P1954 "${String(masterId).replace(/\D+/g, "")}" .
+} LIMIT 1`;
+  const r = await fetch(endpoint, {
+    method: "POST",
+    headers: {
+      "accept": "application/sparql-results+json",
+      "content-type": "application/sparql-query",
+      "user-agent": UA,
+    },
+    body,
+  });
+  out.diagnostics.wd_http.push({ url: "SPARQL:DiscogsMaster->Q", status: r.status });
+  if (!r.ok) return null;
+  const json = await r.json();
+  const b = json?.results?.bindings?.[0]?.item?.value;
+  if (!b) return null;
+  return b.split("/").pop();
+}
+
 async function sparqlFirstQIDByTitleArtist(title, artist, out) {
   const endpoint = "https://query.wikidata.org/sparql";
   const escTitle = title.replace(/"/g, '\\"');
@@ -583,6 +2624,75 @@ SELECT ?item WHERE {
   return b.split("/").pop();
 }
 
+/* ------------------------ Wikidata labels --------------------------- */
+
+// Output keys that hold Q-ids, and where their label/description go:
+//   { id: "Q1" } -> label, description;  { unit: "Q1" } -> unit_label, unit_description;
+//   { wikidata_qid: "Q1" } -> wikidata_label, wikidata_description
+const WD_ID_KEYS = new Set(["id", "wikidata_qid", "unit", "country"]);
+const WD_BATCH = 50; // wbgetentities limit per call
+
+function wdLabelKeys(key) {
+  const base = key === "id" ? "" : `${key.replace(/_qid$/, "")}_`;
+  return [`${base}label`, `${base}description`];
+}
+
+// Every { key: Q-id } slot in the output (diagnostics aside)
+function collectWikidataSlots(node, slots = []) {
+  if (Array.isArray(node)) {
+    for (const v of node) collectWikidataSlots(v, slots);
+  } else if (node && typeof node === "object") {
+    for (const [k, v] of Object.entries(node)) {
+      if (k === "diagnostics") continue;
+      if (WD_ID_KEYS.has(k) && typeof v === "string" && /^Q\d+$/.test(v)) slots.push({ obj: node, key: k, qid: v });
+      else if (v && typeof v === "object") collectWikidataSlots(v, slots);
+    }
+  }
+  return slots;
+}
+
+// Q-id -> { label, description } in lang (English fallback): memoized entities first, the rest batched
+async function fetchWikidataTerms(qids, lang, out) {
+  const pick = m => m?.[lang]?.value ?? m?.en?.value ?? null;
+  const terms = new Map();
+
+  const memo = WD_ENTITY_MEMO.get(out);
+  const pending = [];
+  for (const qid of new Set(qids)) {
+    const e = memo?.has(qid) ? await memo.get(qid) : null;
+    if (e) terms.set(qid, { label: pick(e.labels), description: pick(e.descriptions) });
+    else pending.push(qid);
+  }
+  for (let i = 0; i < pending.length; i += WD_BATCH) {
+    const qs = new URLSearchParams({
+      action: "wbgetentities",
+      ids: pending.slice(i, i + WD_BATCH).join("|"),
+      props: "labels|descriptions",
+      languages: lang === "en" ? "en" : `${lang}|en`,
+      format: "json",
+    }).toString();
+    const data = await GETjson("https://www.wikidata.org/w/api.php", "", out.diagnostics.wd_http, qs);
+    for (const [qid, e] of Object.entries(data?.entities || {})) {
+      if (!e.missing) terms.set(qid, { label: pick(e.labels), description: pick(e.descriptions) });
+    }
+  }
+  return terms;
+}
+
+// Names every Wikidata id in the output in the requested language (English fallback).
+// Entities this request already fetched are read from the memo; the rest go out in batches.
+async function labelWikidataIds(out) {
+  const slots = collectWikidataSlots(out);
+  if (!slots.length) return;
+  const terms = await fetchWikidataTerms(slots.map(s => s.qid), out.flags.lang, out);
+  for (const { obj, key, qid } of slots) {
+    const t = terms.get(qid);
+    const [labelKey, descKey] = wdLabelKeys(key);
+    if (obj[labelKey] == null) obj[labelKey] = t?.label ?? null;
+    if (obj[descKey] == null) obj[descKey] = t?.description ?? null;
+  }
+}
+
 /* ------------------------ Wikipedia enrichment --------------------------- */
 
 async function enrichFromWikipedia(seed, out) {
@@ -594,9 +2704,11 @@ async function enrichFromWikipedia(seed, out) {
   const sum = await GETjson("https://en.wikipedia.org/api/rest_v1/page", `/summary/${encodeURIComponent(title)}`, out.diagnostics.wiki_http);
   if (sum?.title) {
     out.wikipedia.title = sum.title;
+    // article titles carry disambiguators: "Kind of Blue (album)", "Blue (Joni Mitchell album)"
+    offerCanonical(out, "title", sum.title.replace(/\s*\([^)]*\balbum\)$/i, ""), origin("wikipedia", sum.title, "article"));
     out.wikipedia.summary = sum.extract || "";
     // lead image
-    if (sum?.thumbnail?.source && !out.canonical.cover_url) out.canonical.cover_url = sum.thumbnail.source;
+    offerCanonical(out, "cover_url", sum?.thumbnail?.source, origin("wikipedia", sum.title, "article"));
   }
 
   // Infobox (if exposed)
@@ -626,6 +2738,9 @@ async function enrichFromWikipedia(seed, out) {
   if (html.ok) {
     const text = await html.text();
     extractTracklistFromHTML(text, out);
+    if (out.wikipedia.tracklist?.length) {
+      offerCanonical(out, "track_count", out.wikipedia.tracklist.length, origin("wikipedia", title, "article"));
+    }
     extractPersonnelFromHTML(text, out);
     extractAwardsFromHTML(text, out);
     extractLandmarksFromHTML(text, out);
@@ -647,6 +2762,11 @@ function pickLargestSrc(srcset) {
 async function buildImageGalleries(seed, out) {
   // Album article gallery is already in wiki.article_gallery
 
+  // Cover Art Archive scans of the resolved release (release-group when the release has none)
+  if (out.flags.images !== "artist" && (out.ids.mb_release_mbid?.id || out.ids.mb_release_group?.id)) {
+    await buildCoverArtGallery(out);
+  }
+
   // Artist P18 images
   if (out.ids.artist_wikidata_qid?.id) {
     const ent = await fetchWikidataEntity(out.ids.artist_wikidata_qid.id, out);
@@ -674,6 +2794,45 @@ async function buildImageGalleries(seed, out) {
   }
 }
 
+// Sleeve and label scans worth downloading; CAA also has Spine, Tray, Sticker, Poster, ...
+const CAA_TYPES = ["Front", "Back", "Medium", "Booklet", "Obi"];
+
+async function buildCoverArtGallery(out) {
+  let data = null;
+  let entity = null;
+  for (const [kind, id] of [["release", out.ids.mb_release_mbid?.id], ["release-group", out.ids.mb_release_group?.id]]) {
+    if (!id) continue;
+    data = await GETjson("https://coverartarchive.org", `/${kind}/${id}`, out.diagnostics.caa_http);
+    if (data?.images?.length) {
+      entity = { kind, id };
+      break;
+    }
+  }
+  if (!entity) return;
+
+  const wanted = data.images.filter(im => (im.types || []).some(t => CAA_TYPES.includes(t)));
+  for (const im of wanted.slice(0, out.flags.max_images)) {
+    const th = im.thumbnails || {};
+    out.wiki.album_gallery.push({
+      source: `coverartarchive:${entity.kind}`,
+      role: (im.types[0] || "image").toLowerCase(),
+      types: im.types,
+      title: im.comment || null,
+      url: im.image,
+      caa_id: im.id ? String(im.id) : null,
+      mb_entity: entity,
+      front: Boolean(im.front),
+      back: Boolean(im.back),
+      approved: Boolean(im.approved),
+      thumbnails: {
+        250: th["250"] || th.small || null,
+        500: th["500"] || th.large || null,
+        1200: th["1200"] || null,
+      },
+    });
+  }
+}
+
 async function commonsImageInfo(filename, out) {
   // MediaWiki API
   const api = "https://commons.wikimedia.org/w/api.php";
@@ -728,6 +2887,386 @@ function aggregateDownloadList(out) {
   out.downloads.image_urls = dedupe(urls);
 }
 
+/* ------------------------ Artist profile mode --------------------------- */
+
+function initArtistOut(flags) {
+  return {
+    schema_version: SCHEMA_VERSION,
+    timestamp: new Date().toISOString(),
+    type: "artist",
+    flags,
+    artist: {},
+    ids: { external: [] },
+    wikipedia: {},
+    wiki: { article_gallery: [], album_gallery: [], artist_gallery: [] },
+    downloads: { image_urls: [] },
+    diagnostics: {
+      matched_on: null,
+      notes: [],
+      mb_http: [],
+      discogs_http: [],
+      wiki_http: [],
+      wd_http: [],
+      throttle_http: [],
+    },
+  };
+}
+
+// Wikidata external-ID properties surfaced on artist profiles
+const ARTIST_EXTERNAL_IDS = {
+  P434: { key: "musicbrainz", url: id => `https://musicbrainz.org/artist/${id}` },
+  P1953: { key: "discogs", url: id => `https://www.discogs.com/artist/${id}` },
+  P1728: { key: "allmusic", url: id => `https://www.allmusic.com/artist/${id}` },
+  P1902: { key: "spotify", url: id => `https://open.spotify.com/artist/${id}` },
+  P214: { key: "viaf", url: id => `https://viaf.org/viaf/${id}` },
+  P345: { key: "imdb", url: id => `https://www.imdb.com/name/${id}` },
+};
+
+async function runArtistEnrichment(seed, flags) {
+  const out = initArtistOut(flags);
+  stamp(out, "start");
+
+  try {
+    // 1) Seeds that point elsewhere: Discogs artist and Wikidata Q-id yield an MB artist ID
+    if (seed.discogs_artist_id) await resolveDiscogsArtist(seed, out);
+    if (seed.qid) await resolveArtistWikidataSeed(seed, out);
+
+    // 2) MusicBrainz artist: by MBID, else by name search
+    let mbArtistId = seed.mb_artist_id || seed.mbid || out.ids.mb_artist_id?.id;
+    if (!mbArtistId && (seed.artist || out.artist.name)) {
+      mbArtistId = await searchMBArtist(seed.artist || out.artist.name, out);
+    }
+    if (mbArtistId) {
+      const discogsProfile = out.artist;
+      const a = await resolveMBArtist(mbArtistId, out);
+      if (a) {
+        out.diagnostics.matched_on = out.diagnostics.matched_on || (seed.artist ? "artist_name" : "mb_artist");
+        collectArtistUrlRels(a, out);
+        out.artist.origin = out.artist.begin_area || out.artist.area;
+        // MB has no members for a Discogs-only group; keep Discogs' list then
+        if (!out.artist.members.length && discogsProfile.members?.length) out.artist.members = discogsProfile.members;
+        if (discogsProfile.profile) out.artist.discogs_profile = discogsProfile.profile;
+      } else {
+        out.artist = discogsProfile;
+      }
+    }
+
+    // 3) Wikidata: Q-id, external IDs, active years, enwiki sitelink
+    if (!out.ids.artist_wikidata_qid && out.ids.mb_artist_id?.id) {
+      const qa = await sparqlFirstArtistQIDByMBArtist(out.ids.mb_artist_id.id, out);
+      if (qa) out.ids.artist_wikidata_qid = { id: qa, url: `https://www.wikidata.org/wiki/${qa}` };
+    }
+    if (out.ids.artist_wikidata_qid?.id) {
+      await applyArtistWikidata(out);
+      await mergeWikidataArtistGraph(out);
+    }
+
+    // 4) Wikipedia summary
+    if (out.ids.wikipedia_title?.id) {
+      const title = out.ids.wikipedia_title.id;
+      const sum = await GETjson("https://en.wikipedia.org/api/rest_v1/page", `/summary/${encodeURIComponent(title)}`, out.diagnostics.wiki_http);
+      if (sum?.title) {
+        out.wikipedia.title = sum.title;
+        out.wikipedia.summary = sum.extract || "";
+      }
+    }
+
+    // 5) Images with credits (Wikidata P18 via Commons)
+    if (flags.images !== "none") await buildImageGalleries(seed, out);
+    await labelWikidataIds(out);
+    aggregateDownloadList(out);
+
+    if (!out.artist.name) out.diagnostics.notes.push("no artist resolved from the given seed");
+    stamp(out, "done");
+  } catch (e) {
+    out.diagnostics.notes.push(`fatal:${String(e && e.message ? e.message : e)}`);
+  }
+
+  return out;
+}
+
+async function resolveDiscogsArtist(seed, out) {
+  const id = parseDiscogsId(seed.discogs_artist_id, "artist");
+  if (!id) {
+    out.diagnostics.notes.push(`discogs artist seed not understood: ${seed.discogs_artist_id}`);
+    return;
+  }
+  const a = await discogsGET(`/artists/${id}`, out);
+  if (!a || !a.id) {
+    out.diagnostics.notes.push(`discogs artist ${id} not found or rate-limited`);
+    return;
+  }
+  out.diagnostics.matched_on = out.diagnostics.matched_on || "discogs_artist";
+  out.ids.discogs_artist_id = { id: String(a.id), url: `https://www.discogs.com/artist/${a.id}` };
+  out.artist = {
+    name: discogsName(a.name) || null,
+    real_name: a.realname || null,
+    profile: a.profile || null,
+    aliases: (a.namevariations || []).map(name => ({ name, sort_name: null, type: "name variation", locale: null, primary: false })),
+    members: (a.members || []).map(m => ({
+      name: discogsName(m.name),
+      discogs_artist_id: String(m.id),
+      active: Boolean(m.active),
+      sources: ["discogs"],
+    })),
+  };
+
+  const mb = await mbArtistByUrl(`https://www.discogs.com/artist/${a.id}`, out);
+  if (mb) out.ids.mb_artist_id = { id: mb.id, url: `https://musicbrainz.org/artist/${mb.id}` };
+}
+
+async function mbArtistByUrl(resource, out) {
+  const q = new URLSearchParams({ resource, inc: "artist-rels", fmt: "json" }).toString();
+  const data = await mbGET("/url", out, q);
+  const rel = (data?.relations || []).find(r => r.artist?.id);
+  return rel ? rel.artist : null;
+}
+
+async function resolveArtistWikidataSeed(seed, out) {
+  const qid = parseQid(seed.qid);
+  if (!qid) {
+    out.diagnostics.notes.push(`wikidata seed not understood: ${seed.qid}`);
+    return;
+  }
+  const entity = await fetchWikidataEntity(qid, out);
+  if (!entity) {
+    out.diagnostics.notes.push(`wikidata entity ${qid} not found`);
+    return;
+  }
+  out.diagnostics.matched_on = out.diagnostics.matched_on || "qid";
+  out.ids.artist_wikidata_qid = { id: qid, url: `https://www.wikidata.org/wiki/${qid}` };
+  const mb = pickClaimString(entity, "P434");
+  if (mb && !out.ids.mb_artist_id) out.ids.mb_artist_id = { id: mb, url: `https://musicbrainz.org/artist/${mb}` };
+  const label = entity.labels?.[out.flags.lang]?.value || entity.labels?.en?.value;
+  if (label && !out.artist.name) out.artist.name = label;
+}
+
+async function searchMBArtist(name, out) {
+  const q = new URLSearchParams({ query: `artist:"${name.replace(/"/g, "")}"`, limit: "5", fmt: "json" }).toString();
+  const data = await mbGET("/artist/", out, q);
+  const hits = data?.artists || [];
+  if (!hits.length) return null;
+  // exact (case-insensitive) name match beats a higher-scored partial match
+  const exact = hits.find(h => (h.name || "").toLowerCase() === name.toLowerCase());
+  const pick = exact || hits[0];
+  out.diagnostics.notes.push(`artist search "${name}": picked ${pick.id} (${pick.name}, score ${pick.score ?? "?"}) of ${hits.length}`);
+  return pick.id;
+}
+
+function collectArtistUrlRels(a, out) {
+  for (const rel of a.relations || []) {
+    const u = rel.url?.resource;
+    if (!u) continue;
+    out.ids.external.push({ type: rel.type, url: u });
+    if (u.includes("discogs.com/artist/") && !out.ids.discogs_artist_id) {
+      const id = parseDiscogsId(u, "artist");
+      if (id) out.ids.discogs_artist_id = { id, url: `https://www.discogs.com/artist/${id}` };
+    }
+    if (u.includes("en.wikipedia.org/wiki/") && !out.ids.wikipedia_title) {
+      const title = decodeURIComponent(u.split("/wiki/")[1]);
+      out.ids.wikipedia_title = { id: title, url: `https://en.wikipedia.org/wiki/${title}` };
+    }
+  }
+}
+
+async function applyArtistWikidata(out) {
+  const entity = await fetchWikidataEntity(out.ids.artist_wikidata_qid.id, out);
+  if (!entity) return;
+
+  for (const [prop, def] of Object.entries(ARTIST_EXTERNAL_IDS)) {
+    const id = pickClaimString(entity, prop);
+    if (id && !out.ids.external.some(x => x.url === def.url(id))) {
+      out.ids.external.push({ type: def.key, id, url: def.url(id) });
+    }
+  }
+
+  // P2031/P2032 work period; groups fall back to their MB life-span
+  const start = pickClaimTime(entity, "P2031");
+  const end = pickClaimTime(entity, "P2032");
+  if (start || end) {
+    out.artist.active_years = { begin: start, end };
+  } else if (out.artist.type === "Group" && out.artist.life_span) {
+    out.artist.active_years = { begin: out.artist.life_span.begin, end: out.artist.life_span.end };
+  }
+
+  const enTitle = entity.sitelinks?.enwiki?.title;
+  if (enTitle && !out.ids.wikipedia_title) {
+    out.ids.wikipedia_title = { id: enTitle, url: `https://en.wikipedia.org/wiki/${encodeURIComponent(enTitle)}` };
+  }
+}
+
+// Members: P527 (has part) on the group, or P463 (member of) pointing at it from the person.
+// Related: groups the artist is a P463 member of. Merged into the MB lists by MBID, then name.
+async function mergeWikidataArtistGraph(out) {
+  const qid = out.ids.artist_wikidata_qid.id;
+  const lang = out.flags.lang === "en" ? "en" : `${out.flags.lang},en`;
+  const body = `
+SELECT ?rel ?m ?mLabel ?mbid ?start ?end WHERE {
+  {
+    wd:${qid} p:P527 ?st . ?st ps:P527 ?m . BIND("member" AS ?rel)
+  } UNION {
+    ?m p:P463 ?st . ?st ps:P463 wd:${qid} . BIND("member" AS ?rel)
+  } UNION {
+    wd:${qid} p:P463 ?st . ?st ps:P463 ?m . ?m wdt:P31/wdt:P279* wd:Q215380 . BIND("member of" AS ?rel)
+  }
+  OPTIONAL { ?st pq:P580 ?start }
+  OPTIONAL { ?st pq:P582 ?end }
+  OPTIONAL { ?m wdt:P434 ?mbid }
+  SERVICE wikibase:label { bd:serviceParam wikibase:language "${lang}". }
+} LIMIT 200`;
+  const r = await fetch("https://query.wikidata.org/sparql", {
+    method: "POST",
+    headers: {
+      "accept": "application/sparql-results+json",
+      "content-type": "application/sparql-query",
+      "user-agent": UA,
+    },
+    body,
+  });
+  out.diagnostics.wd_http.push({ url: "SPARQL:artist members/member of", status: r.status });
+  if (!r.ok) return;
+  const rows = (await r.json())?.results?.bindings || [];
+
+  const artist = out.artist;
+  artist.members ||= [];
+  artist.related ||= [];
+  const day = b => (b?.value ? b.value.replace(/^\+/, "").slice(0, 10) : null);
+  for (const row of rows) {
+    const mQid = row.m?.value?.split("/").pop();
+    if (!mQid) continue;
+    const entry = {
+      name: row.mLabel?.value || mQid,
+      mb_artist_id: row.mbid?.value || null,
+      wikidata_qid: mQid,
+      begin: day(row.start),
+      end: day(row.end),
+    };
+    const list = row.rel.value === "member" ? artist.members : artist.related;
+    const hit = list.find(
+      x =>
+        (entry.mb_artist_id && x.mb_artist_id === entry.mb_artist_id) ||
+        x.wikidata_qid === mQid ||
+        normText(x.name) === normText(entry.name)
+    );
+    if (hit) {
+      hit.wikidata_qid ||= mQid;
+      hit.mb_artist_id ||= entry.mb_artist_id;
+      hit.begin ||= entry.begin;
+      hit.end ||= entry.end;
+      if (!(hit.sources ||= []).includes("wikidata")) hit.sources.push("wikidata");
+    } else if (row.rel.value === "member") {
+      list.push({ ...entry, ended: Boolean(entry.end), instruments: [], attributes: [], sources: ["wikidata"] });
+    } else {
+      list.push({ ...entry, relation: "member of", sources: ["wikidata"] });
+    }
+  }
+}
+
+/* ------------------------ Candidate search --------------------------- */
+
+async function runCandidateSearch(seed, flags, limit) {
+  const out = {
+    schema_version: SCHEMA_VERSION,
+    timestamp: new Date().toISOString(),
+    type: "search",
+    flags,
+    query: {},
+    candidates: [],
+    diagnostics: { notes: [], tried_barcodes: [], ranking: [], mb_http: [], discogs_http: [], throttle_http: [] },
+  };
+  for (const k of ["upc", "catno", "label", "artist", "title"]) {
+    if (seed[k]) out.query[k] = k === "upc" ? normalizeBarcode(seed[k]) : seed[k];
+  }
+  pushTriedBarcode(out.query.upc, out);
+
+  try {
+    const [mb, dg] = await Promise.all([searchMBCandidates(out.query, limit, out), searchDiscogsCandidates(out.query, limit, out)]);
+    out.candidates = mb.concat(dg).sort((a, b) => b.rank - a.rank);
+  } catch (e) {
+    out.diagnostics.notes.push(`fatal:${String(e && e.message ? e.message : e)}`);
+  }
+  return out;
+}
+
+async function searchMBCandidates(query, limit, out) {
+  const esc = v => String(v).replace(/(["\\])/g, "\\$1");
+  const terms = [];
+  if (query.upc) {
+    const bcs = [query.upc];
+    if (query.upc.length === 12) bcs.push("0" + query.upc);
+    terms.push(`(${bcs.map(b => `barcode:${b}`).join(" OR ")})`);
+  }
+  if (query.catno) terms.push(`catno:"${esc(query.catno)}"`);
+  if (query.label) terms.push(`label:"${esc(query.label)}"`);
+  if (query.title) terms.push(`release:"${esc(query.title)}"`);
+  if (query.artist) terms.push(`artist:"${esc(query.artist)}"`);
+  const q = new URLSearchParams({ query: terms.join(" AND "), limit: String(limit), fmt: "json" }).toString();
+  const data = await mbGET("/release/", out, q);
+  if (!data) out.diagnostics.notes.push("musicbrainz search failed or rate-limited");
+  const ranked = rankMBReleases((data?.releases || []).slice(0, limit), "search:musicbrainz", out);
+  return ranked.map(r => ({ ...mbCandidate(r.release), rank: r.score, rank_reasons: r.reasons }));
+}
+
+function mbCandidate(r) {
+  const li = (r["label-info"] || [])[0] || {};
+  return {
+    source: "musicbrainz",
+    id: r.id,
+    url: `https://musicbrainz.org/release/${r.id}`,
+    score: typeof r.score === "number" ? r.score : 0,
+    title: r.title || null,
+    artist: (r["artist-credit"] || []).map(ac => ac.name + (ac.joinphrase || "")).join("").trim() || null,
+    format: dedupe((r.media || []).map(m => m.format)).join(" + ") || null,
+    track_count: r["track-count"] ?? null,
+    country: r.country || null,
+    date: r.date || null,
+    label: li.label?.name || null,
+    catno: li["catalog-number"] || null,
+    barcode: r.barcode || null,
+    status: r.status || null,
+    release_group: r["release-group"]?.id || null,
+    seed: { mb_release_mbid: r.id },
+  };
+}
+
+async function searchDiscogsCandidates(query, limit, out) {
+  const params = { type: "release", per_page: String(limit), page: "1" };
+  if (query.upc) params.barcode = query.upc;
+  if (query.catno) params.catno = query.catno;
+  if (query.label) params.label = query.label;
+  if (query.title) params.release_title = query.title;
+  if (query.artist) params.artist = query.artist;
+  const data = await discogsGET("/database/search", out, new URLSearchParams(params).toString());
+  if (!data) out.diagnostics.notes.push("discogs search failed or rate-limited");
+  // Discogs search has no relevance score; derive one from result position (100, 98, 96, ...)
+  const hits = (data?.results || []).slice(0, limit);
+  const position = new Map(hits.map((h, i) => [h, 100 - 2 * i]));
+  const ranked = rankDiscogsHits(hits, "search:discogs", out, h => [position.get(h) / 10, `search position score ${position.get(h)}`]);
+  return ranked.map(r => ({ ...discogsCandidate(r.item, position.get(r.item)), rank: r.score, rank_reasons: r.reasons }));
+}
+
+function discogsCandidate(h, score) {
+  const parts = (h.title || "").split(" – ");
+  return {
+    source: "discogs",
+    id: String(h.id),
+    url: `https://www.discogs.com/release/${h.id}`,
+    score,
+    title: parts.length === 2 ? parts[1] : h.title || null,
+    artist: parts.length === 2 ? parts[0] : null,
+    format: (h.format || []).join(", ") || null,
+    country: h.country || null,
+    date: h.year ? String(h.year) : null,
+    label: [].concat(h.label || [])[0] || null,
+    catno: h.catno && h.catno !== "none" ? h.catno : null,
+    // Discogs lists every identifier here (matrix strings too); keep the first barcode-shaped one
+    barcode: normalizeBarcode((h.barcode || []).find(b => /^[\d\s-]{8,}$/.test(b))) || null,
+    master_id: h.master_id ? String(h.master_id) : null,
+    thumb: h.thumb || null,
+    seed: { discogs: String(h.id) },
+  };
+}
+
 /* ------------------------ HTML content extraction --------------------------- */
 
 function extractTracklistFromHTML(html, out) {
@@ -807,13 +3346,80 @@ function extractLandmarksFromHTML(html, out) {
   if (hits.length) out.wikipedia.landmarks = dedupe(hits);
 }
 
-/* ------------------------ Canonical finalize --------------------------- */
+/* ------------------------ Physical format --------------------------- */
+
+// Descriptor vocabulary, matched against Discogs descriptions and free-text tokens
+const FORMAT_DESCRIPTORS = [
+  ["LP", /^LP$/i],
+  ["EP", /^EP$/i],
+  ["Single", /^(maxi-)?single$/i],
+  ["Gatefold", /gatefold/i],
+  ["180 gram", /\b180\s*(g|gr|grams?)\b/i],
+  // colours of the vinyl itself, not of labels, sleeves or stamping ("White Label", "Gold stamped")
+  [
+    "Coloured",
+    /^(?!.*\b(labels?|sleeves?|cover|jacket|insert|obi|print(ed|s)?|stamp(ed|s|ing)?|foil|embossed)\b).*(colou?red|translucent|marbled|splatter|\b(red|blue|green|yellow|white|orange|purple|pink|clear|gold|silver)\b)/i,
+  ],
+  ["Picture Disc", /picture disc/i],
+  ["Reissue", /^(reissue|repress|re-?press)$/i],
+  ["Remastered", /remaster/i],
+  ["Promo", /^promo$/i],
+];
+
+// Containers rather than media: a box set's first format line says nothing about the discs
+const FORMAT_CONTAINERS = ["box set", "all media"];
+
+function formatMedium(name) {
+  if (/vinyl|lathe|flexi/i.test(name)) return "Vinyl";
+  if (/shellac/i.test(name)) return "Shellac";
+  if (/\bcd|sacd|hdcd/i.test(name)) return "CD";
+  if (/cassette/i.test(name)) return "Cassette";
+  return name || null;
+}
+
+function formatSize(s) {
+  const m = String(s).match(/\b(7|10|12)(?:"|''|”|-inch| inch)/);
+  return m ? `${m[1]}"` : null;
+}
+
+function formatSpeed(s) {
+  const m = String(s).match(/\b(33|45|78)\s*(?:⅓|1\/3)?\s*RPM\b/i);
+  if (!m) return null;
+  return m[1] === "33" ? "33⅓ RPM" : `${m[1]} RPM`;
+}
 
-function finalizeCanonical(out) {
-  // format best-effort from MB + Discogs hints
-  if (!out.canonical.format || !out.canonical.format.length) {
-    const guess = [];
-    guess.push("Album");
-    out.canonical.format = dedupe(guess);
+// Discogs formats[]: { name, qty, descriptions[], text }, one entry per kind of medium
+function discogsFormat(formats) {
+  const list = (formats || []).filter(f => f && f.name);
+  if (!list.length) return null;
+  const primary = list.find(f => !FORMAT_CONTAINERS.includes(f.name.toLowerCase())) || list[0];
+  const medium = formatMedium(primary.name);
+  const same = list.filter(f => formatMedium(f.name) === medium);
+  const tokens = [];
+  for (const f of same.concat(list.filter(f => FORMAT_CONTAINERS.includes(f.name.toLowerCase())))) {
+    tokens.push(...(f.descriptions || []));
+    if (f.text) tokens.push(...f.text.split(/[,;]\s*/));
   }
+  return {
+    medium,
+    discs: same.reduce((n, f) => n + (parseInt(f.qty, 10) || 1), 0),
+    size: tokens.map(formatSize).find(Boolean) || null,
+    speed: tokens.map(formatSpeed).find(Boolean) || null,
+    descriptors: FORMAT_DESCRIPTORS.filter(([, rx]) => tokens.some(t => rx.test(t.trim()))).map(([d]) => d),
+  };
+}
+
+// MusicBrainz media[].format: "12\" Vinyl", "CD", "Cassette", ...; no speed or descriptors
+function mbFormat(media) {
+  const formats = (media || []).map(m => m.format).filter(Boolean);
+  if (!formats.length) return null;
+  const medium = formatMedium(formats[0]);
+  const same = formats.filter(f => formatMedium(f) === medium);
+  return {
+    medium,
+    discs: same.length,
+    size: same.map(formatSize).find(Boolean) || null,
+    speed: medium === "Shellac" ? "78 RPM" : null,
+    descriptors: [],
+  };
 }